@@ -0,0 +1,83 @@
+// ELLM benchmark - query times on a large generated knowledge base
+// Open benchmark.html in a browser to run it.
+
+const BENCHMARK_CATEGORIES = 100;
+
+// Fill a knowledge base with `factCount` facts: category memberships,
+// possessions, "likes" links and a "part of" chain, plus one universal
+// rule per category
+function buildBenchmarkKnowledge(ellm, factCount) {
+  for (let c = 0; c < BENCHMARK_CATEGORIES; c++) {
+    ellm.kb.addRule(Rule.createUniversalRule(`category${c}`, `trait${c}`));
+  }
+
+  const items = Math.floor(factCount / 4);
+  for (let i = 0; i < items; i++) {
+    ellm.kb.addFact(new Fact(`item${i}`, "is", `category${i % BENCHMARK_CATEGORIES}`));
+    ellm.kb.addFact(new Fact(`item${i}`, "has", `part${i}`));
+    ellm.kb.addFact(new Fact(`item${i}`, "likes", `item${(i * 7 + 1) % items}`));
+    ellm.kb.addFact(new Fact(`part${i}`, "part of", `part${i + 1}`));
+  }
+  return items;
+}
+
+function timeQuery(ellm, question, repeats = 5) {
+  let result;
+  const start = performance.now();
+  for (let i = 0; i < repeats; i++) {
+    result = ellm.query(question);
+  }
+  return { question, answer: result.answer, ms: (performance.now() - start) / repeats };
+}
+
+function runBenchmark(factCount = 100000) {
+  const ellm = new ELLM();
+  const buildStart = performance.now();
+  const items = buildBenchmarkKnowledge(ellm, factCount);
+  const buildMs = performance.now() - buildStart;
+
+  const middle = Math.floor(items / 2);
+  const questions = [
+    `Is item${middle} category${middle % BENCHMARK_CATEGORIES}?`,
+    `Is item${middle} trait${middle % BENCHMARK_CATEGORIES}?`,
+    `Is item${middle} trait${(middle + 1) % BENCHMARK_CATEGORIES}?`,
+    `Does item${middle} have part${middle}?`,
+    `Is part${middle} part of part${middle + 25}?`,
+    `What does item${middle} like?`,
+    `Who likes item${(middle * 7 + 1) % items}?`
+  ];
+
+  return {
+    facts: ellm.kb.facts.length,
+    rules: ellm.kb.rules.length,
+    buildMs,
+    rows: questions.map(question => timeQuery(ellm, question))
+  };
+}
+
+function renderBenchmark(report) {
+  const summary = document.getElementById("benchmarkSummary");
+  summary.textContent = `${report.facts.toLocaleString()} facts and ${report.rules} rules loaded in ${report.buildMs.toFixed(0)} ms.`;
+
+  const body = document.getElementById("benchmarkResults");
+  body.innerHTML = "";
+  report.rows.forEach(row => {
+    const tr = document.createElement("tr");
+    [row.question, row.answer, `${row.ms.toFixed(2)} ms`].forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const button = document.getElementById("runBenchmark");
+  button.addEventListener("click", () => {
+    const factCount = Number(document.getElementById("factCount").value) || 100000;
+    document.getElementById("benchmarkSummary").textContent = "Running…";
+    // Let the status paint before the synchronous run blocks the page
+    setTimeout(() => renderBenchmark(runBenchmark(factCount)), 20);
+  });
+});
@@ -0,0 +1,221 @@
+// Async access to the ELLM core. Runs EllmService in a Web Worker so deep
+// searches and large learns leave the page responsive; where workers are
+// unavailable (some browsers refuse them on file:// pages) the service runs
+// on the page instead, with the same promises.
+
+// Extra time the worker gets to report its own timeout before it is stopped
+const WORKER_GRACE_MS = 1000;
+
+class EllmClient {
+  constructor(workerUrl = "ellm-worker.js") {
+    this.workerUrl = workerUrl;
+    this.pending = new Map(); // id -> { method, args, resolve, reject, onProgress, timer }
+    this.nextId = 1;
+    this.saved = null; // Latest workspace, restored after a cancel
+    this.options = {}; // Latest configure() options, restored with it
+    this.local = null; // EllmService on the page when there is no worker
+    this.startWorker();
+  }
+
+  get inWorker() {
+    return !this.local;
+  }
+
+  startWorker() {
+    try {
+      this.worker = new Worker(this.workerUrl);
+    } catch (err) {
+      this.useLocal();
+      return;
+    }
+    this.worker.onmessage = event => this.receive(event.data);
+    // The script could not be loaded: run the calls already sent on the page
+    this.worker.onerror = event => {
+      event.preventDefault();
+      const waiting = Array.from(this.pending.values());
+      this.pending.clear();
+      this.useLocal();
+      waiting.forEach(entry => {
+        clearTimeout(entry.timer);
+        this.callLocal(entry.method, entry.args, entry).then(entry.resolve, entry.reject);
+      });
+    };
+  }
+
+  useLocal() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.local = new EllmService();
+    if (this.saved) this.local.loadWorkspace(this.saved);
+    this.local.configure(this.options);
+  }
+
+  learn(text) {
+    return this.call("learn", [text]);
+  }
+
+  // `timeout` in ms; `onProgress` receives the number of subgoals explored;
+  // `bases` names the knowledge bases to ask (by default the active one)
+  query(question, { timeout = null, onProgress = null, bases = null } = {}) {
+    return this.call("query", [question, { timeout, bases }], { timeout, onProgress });
+  }
+
+  knowledge() {
+    return this.call("knowledge");
+  }
+
+  consistency() {
+    return this.call("consistency");
+  }
+
+  removeFact(index) {
+    return this.call("removeFact", [index]);
+  }
+
+  removeRule(index) {
+    return this.call("removeRule", [index]);
+  }
+
+  reset() {
+    return this.call("reset");
+  }
+
+  configure(options) {
+    return this.call("configure", [options]);
+  }
+
+  snapshot() {
+    return this.call("snapshot");
+  }
+
+  load(snapshot) {
+    return this.call("load", [snapshot]);
+  }
+
+  runScenario(text) {
+    return this.call("runScenario", [text]);
+  }
+
+  listBases() {
+    return this.call("listBases");
+  }
+
+  createBase(name) {
+    return this.call("createBase", [name]);
+  }
+
+  selectBase(name) {
+    return this.call("selectBase", [name]);
+  }
+
+  removeBase(name) {
+    return this.call("removeBase", [name]);
+  }
+
+  compare(name, otherName) {
+    return this.call("compare", [name, otherName]);
+  }
+
+  // `selection` picks { facts, rules } by index; by default all that is missing
+  merge(from, into, selection = {}) {
+    return this.call("merge", [from, into, selection]);
+  }
+
+  workspace() {
+    return this.call("workspace");
+  }
+
+  loadWorkspace(workspace) {
+    return this.call("loadWorkspace", [workspace]);
+  }
+
+  call(method, args = [], { timeout = null, onProgress = null } = {}) {
+    if (this.local) return this.callLocal(method, args, { timeout, onProgress });
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const entry = { method, args, resolve, reject, onProgress, timer: null };
+      // The worker enforces the limit itself; this catches one too busy to
+      // check its clock
+      if (timeout) {
+        entry.timer = setTimeout(() => this.stop(`Gave up after ${timeout} ms`, true), timeout + WORKER_GRACE_MS);
+      }
+      this.pending.set(id, entry);
+      this.worker.postMessage({ id, method, args });
+    });
+  }
+
+  // On the page the work blocks, so it starts after the current frame has
+  // been painted
+  callLocal(method, args, { timeout = null, onProgress = null } = {}) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        try {
+          const result = method === "query"
+            ? this.local.query(args[0], { timeout }, onProgress)
+            : this.local[method](...args);
+          this.remember(method, args, result);
+          resolve(result);
+        } catch (err) {
+          reject(this.failure(err.message, err.name === "QueryTimeoutError"));
+        }
+      }, 0);
+    });
+  }
+
+  receive({ id, result, error, timedOut, progress }) {
+    const entry = this.pending.get(id);
+    if (!entry) return; // Answered after a cancel
+
+    if (progress !== undefined) {
+      if (entry.onProgress) entry.onProgress(progress);
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    this.pending.delete(id);
+    if (error !== undefined) {
+      entry.reject(this.failure(error, timedOut));
+    } else {
+      this.remember(entry.method, entry.args, result);
+      entry.resolve(result);
+    }
+  }
+
+  // Keep what is needed to rebuild the worker after a cancel
+  remember(method, args, result) {
+    if (method === "workspace") this.saved = result;
+    if (method === "loadWorkspace") this.saved = args[0];
+    if (method === "configure") Object.assign(this.options, args[0]);
+  }
+
+  failure(message, timedOut = false) {
+    const error = new Error(message);
+    error.timedOut = timedOut;
+    return error;
+  }
+
+  // Stop whatever the worker is doing. Changes since the last workspace()
+  // are lost. Returns false on the page, where nothing runs in the background.
+  cancel() {
+    if (this.local) return false;
+    this.stop("Cancelled");
+    return true;
+  }
+
+  stop(message, timedOut = false) {
+    this.worker.terminate();
+    const waiting = Array.from(this.pending.values());
+    this.pending.clear();
+    waiting.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.reject(this.failure(message, timedOut));
+    });
+
+    this.startWorker();
+    if (this.local) return;
+    const ignore = () => {};
+    if (this.saved) this.call("loadWorkspace", [this.saved]).catch(ignore);
+    this.call("configure", [this.options]).catch(ignore);
+  }
+}
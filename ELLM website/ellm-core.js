@@ -2,10 +2,14 @@
 // Complete implementation
 
 // Prime Calculator
+// Primes are handed out as BigInt so fact encodings stay exact no matter how
+// many concepts are registered. The sieve grows on demand.
 class PrimeCalculator {
   constructor(maxSize = 1000) {
-    this.primes = this.generatePrimes(maxSize);
+    this.sieveLimit = 0;
+    this.primes = [];
     this.primeCache = new Map();
+    this.extendTo(maxSize);
   }
   
   generatePrimes(max) {
@@ -22,18 +26,27 @@ class PrimeCalculator {
     }
     
     return Array.from({ length: max + 1 }, (_, i) => i)
-      .filter(i => sieve[i]);
+      .filter(i => sieve[i])
+      .map(i => BigInt(i));
+  }
+  
+  // Re-sieve up to `max` if the current table is smaller
+  extendTo(max) {
+    if (max <= this.sieveLimit) return;
+    this.primes = this.generatePrimes(max);
+    this.sieveLimit = max;
   }
   
   isPrime(n) {
+    n = BigInt(n);
     if (this.primeCache.has(n)) return this.primeCache.get(n);
     
-    if (n <= 1) return false;
-    if (n <= 3) return true;
-    if (n % 2 === 0 || n % 3 === 0) return false;
+    if (n <= 1n) return false;
+    if (n <= 3n) return true;
+    if (n % 2n === 0n || n % 3n === 0n) return false;
     
-    for (let i = 5; i * i <= n; i += 6) {
-      if (n % i === 0 || n % (i + 2) === 0) return false;
+    for (let i = 5n; i * i <= n; i += 6n) {
+      if (n % i === 0n || n % (i + 2n) === 0n) return false;
     }
     
     this.primeCache.set(n, true);
@@ -42,44 +55,184 @@ class PrimeCalculator {
   
   factorize(n) {
     const factors = [];
-    let remaining = n;
+    let remaining = BigInt(n);
     
     for (const p of this.primes) {
-      while (remaining % p === 0) {
+      if (remaining === 1n) break;
+      if (p * p > remaining) break;
+      while (remaining % p === 0n) {
         factors.push(p);
         remaining /= p;
       }
-      if (p * p > remaining) break;
-      if (remaining === 1) break;
     }
     
-    if (remaining > 1) factors.push(remaining);
+    if (remaining > 1n) factors.push(remaining);
     return factors;
   }
   
   getNthPrime(n) {
-    return this.primes[n] || this.generateNextPrime(this.primes[this.primes.length - 1]);
-  }
-  
-  generateNextPrime(after) {
-    let candidate = after + 1;
-    while (!this.isPrime(candidate)) {
-      candidate++;
+    while (n >= this.primes.length) {
+      this.extendTo(this.sieveLimit * 2);
     }
-    return candidate;
+    return this.primes[n];
   }
 }
 
 // Knowledge representation classes
+// How negated predicates read in sentences ("penguins cannot fly")
+const NEGATED_PREDICATES = {
+  "is": "is not",
+  "has": "does not have",
+  "can": "cannot"
+};
+
+// Relations ending in a preposition are used with "is" ("is located in")
+const PREPOSITIONS = ["in", "of", "to", "with", "from", "on", "at", "by", "for", "into"];
+
+function isPrepositionalRelation(name) {
+  return PREPOSITIONS.includes(name.split(" ").pop());
+}
+
+// Base form of a third-person verb, as used after "does" ("teaches" -> "teach")
+function baseVerbForm(verb) {
+  if (verb === "has") return "have";
+  if (/ies$/.test(verb)) return verb.replace(/ies$/, "y");
+  if (/(ss|sh|ch|x|z|o)es$/.test(verb)) return verb.replace(/es$/, "");
+  if (/s$/.test(verb) && !/ss$/.test(verb)) return verb.replace(/s$/, "");
+  return verb;
+}
+
+const IRREGULAR_PLURALS = {
+  people: "person", men: "man", women: "woman", children: "child",
+  mice: "mouse", geese: "goose", feet: "foot", teeth: "tooth", oxen: "ox"
+};
+
+// Nouns whose "-ies" plural only adds an "s"
+const IE_NOUNS = new Set([
+  "movie", "cookie", "pie", "tie", "lie", "die", "zombie", "rookie", "brownie",
+  "hippie", "genie", "prairie", "calorie", "selfie", "hoodie", "smoothie",
+  "goalie", "collie", "auntie", "sweetie", "newbie", "budgie", "pixie", "birdie"
+]);
+
+// Possible singular forms of a noun, most likely first ("cities" -> "city",
+// "movy"; "movies" -> "movie", "movy"; "boxes" -> "box"). Words that only
+// look plural ("glass", "virus", "mathematics", "species") come back
+// unchanged.
+function singularForms(word) {
+  if (IRREGULAR_PLURALS[word]) return [IRREGULAR_PLURALS[word]];
+  if (word.length <= 3 || /(ss|us|is|ics|ous|series|species)$/.test(word)) return [word];
+  
+  const forms = [];
+  if (/ies$/.test(word) && !IE_NOUNS.has(word.slice(0, -1))) forms.push(word.replace(/ies$/, "y"));
+  if (/(ch|sh|x|z|ss)es$/.test(word)) forms.push(word.replace(/es$/, ""));
+  if (/s$/.test(word)) forms.push(word.replace(/s$/, ""));
+  if (/ies$/.test(word) && IE_NOUNS.has(word.slice(0, -1))) forms.push(word.replace(/ies$/, "y"));
+  return forms.length ? forms : [word];
+}
+
+// The same singular spelled the other way: "-ies" plurals leave "movie"
+// and "movy" (or "city" and "citie") equally likely
+function otherSpelling(word) {
+  if (/[^aeiou]ie$/.test(word)) return word.replace(/ie$/, "y");
+  if (/[^aeiou]y$/.test(word)) return word.replace(/y$/, "ie");
+  return null;
+}
+
+// Hedges and the confidence they give a statement. Generic ones turn
+// "Birds usually fly" into a rule about all birds.
+const HEDGE_CONFIDENCE = {
+  certainly: 1, definitely: 1,
+  usually: 0.9, generally: 0.9, typically: 0.9, normally: 0.9,
+  probably: 0.8, likely: 0.7, often: 0.7,
+  possibly: 0.5, maybe: 0.5, perhaps: 0.5
+};
+const GENERIC_HEDGES = ["usually", "generally", "typically", "normally", "often"];
+
+// Marks a subgoal result that hit ReasoningEngine.maxDepth
+const DEPTH_LIMIT = "#depth-limit";
+
+// Highest depth limit allowed. Subgoals nest as plain recursion, several
+// calls per level, and a long "part of" chain overflows Node's default
+// stack a little past 800 levels.
+const MAX_DEPTH = 600;
+
+// Subgoals between progress reports and deadline checks
+const PROGRESS_INTERVAL = 250;
+
+// Thrown out of a query that runs past its time limit
+class QueryTimeoutError extends Error {
+  constructor(timeout, explored) {
+    super(`Gave up after ${timeout} ms (${explored} subgoals explored)`);
+    this.name = "QueryTimeoutError";
+    this.explored = explored;
+  }
+}
+
+// Ways to combine the confidences along a proof
+const CONFIDENCE_COMBINATIONS = {
+  // Independent evidence: every step can fail on its own
+  product: values => values.reduce((total, value) => total * value, 1),
+  // A chain is as strong as its weakest step
+  minimum: values => Math.min(1, ...values)
+};
+
+// Split a phrase around the only occurrence of `separator`, ignoring case
+// but keeping the original text of both halves
+function splitPhrase(phrase, separator) {
+  const parts = phrase.toLowerCase().split(separator.toLowerCase());
+  if (parts.length !== 2) return null;
+  return [phrase.slice(0, parts[0].length), phrase.slice(parts[0].length + separator.length)];
+}
+
+function negatePredicate(predicate) {
+  if (NEGATED_PREDICATES[predicate]) return NEGATED_PREDICATES[predicate];
+  if (isPrepositionalRelation(predicate)) return `is not ${predicate}`;
+  return `does not ${baseVerbForm(predicate)}`;
+}
+
 class Fact {
-  constructor(subject, predicate, object) {
+  constructor(subject, predicate, object, negated = false) {
     this.subject = String(subject).toLowerCase();
     this.predicate = String(predicate).toLowerCase();
     this.object = String(object).toLowerCase();
+    this.negated = Boolean(negated); // Explicit negative fact ("X cannot Y")
+    this.surface = null; // The statement as written, when parsed from text
+    this.confidence = 1; // 0..1, below 1 for hedged statements ("Probably X")
+  }
+  
+  // The same triple with the opposite polarity
+  negate() {
+    return new Fact(this.subject, this.predicate, this.object, !this.negated);
+  }
+  
+  // Rule variables are stored as "?name" terms
+  static isVariable(term) {
+    return typeof term === "string" && term.startsWith("?");
+  }
+  
+  // Render single-letter variables the way they were written ("?x" -> "X")
+  static formatTerm(term) {
+    if (Fact.isVariable(term) && /^[a-z][0-9]*$/.test(term.substring(1))) {
+      return term.substring(1).toUpperCase();
+    }
+    return term;
+  }
+  
+  isGround() {
+    return ![this.subject, this.predicate, this.object].some(Fact.isVariable);
+  }
+  
+  // How the user wrote it ("Penguins are birds") rather than the
+  // normalized triple ("penguin is bird")
+  toSurfaceString() {
+    return this.surface || this.toString();
   }
   
   toString() {
-    return `${this.subject} ${this.predicate} ${this.object}`;
+    const predicate = this.negated
+      ? negatePredicate(this.predicate)
+      : Fact.formatTerm(this.predicate);
+    return `${Fact.formatTerm(this.subject)} ${predicate} ${Fact.formatTerm(this.object)}`;
   }
 }
 
@@ -88,11 +241,13 @@ class Rule {
     this.conditions = Array.isArray(conditions) ? conditions : [conditions]; // Array of Facts
     this.conclusion = conclusion; // Fact
     this.type = "standard"; // Default rule type
+    this.surface = null;
+    this.confidence = 1;
   }
   
   // Special constructor for universal rules like "All X are Y"
   static createUniversalRule(category, property) {
-    const variable = "_x_";
+    const variable = "?x";
     const rule = new Rule(
       new Fact(variable, "is", category),
       new Fact(variable, "is", property)
@@ -105,7 +260,7 @@ class Rule {
   
   // Special constructor for capability rules like "All X can Y"
   static createCapabilityRule(category, capability) {
-    const variable = "_x_";
+    const variable = "?x";
     const rule = new Rule(
       new Fact(variable, "is", category),
       new Fact(variable, "can", capability)
@@ -116,6 +271,10 @@ class Rule {
     return rule;
   }
   
+  toSurfaceString() {
+    return this.surface || this.toString();
+  }
+  
   toString() {
     if (this.type === "universal") {
       return `All ${this.category} are ${this.property}`;
@@ -130,20 +289,192 @@ class Rule {
   }
 }
 
+// Relation Registry
+// The verbs the parser understands and the logical properties the reasoner
+// applies to them. Users extend it with declarations such as
+// "located in is transitive" or "parent of is the inverse of child of".
+const BUILTIN_RELATIONS = [
+  { name: "is", transitive: true },
+  { name: "has" },
+  { name: "can" },
+  { name: "likes" },
+  { name: "teaches" },
+  { name: "part of", transitive: true }
+];
+
+class RelationRegistry {
+  constructor() {
+    this.relations = new Map();
+    BUILTIN_RELATIONS.forEach(relation => this.define(relation.name, relation));
+  }
+  
+  // Register a relation or add properties to an existing one
+  define(name, properties = {}) {
+    const key = String(name).toLowerCase().trim();
+    const relation = this.relations.get(key) || {
+      name: key,
+      transitive: false,
+      symmetric: false,
+      inverse: null
+    };
+    
+    if (properties.transitive) relation.transitive = true;
+    if (properties.symmetric) relation.symmetric = true;
+    if (properties.inverse) relation.inverse = properties.inverse;
+    
+    this.relations.set(key, relation);
+    return relation;
+  }
+  
+  // "parent of is the inverse of child of" links both directions
+  defineInverse(name, inverseName) {
+    this.define(inverseName, { inverse: name });
+    return this.define(name, { inverse: inverseName });
+  }
+  
+  get(name) {
+    return this.relations.get(name);
+  }
+  
+  has(name) {
+    return this.relations.has(name);
+  }
+  
+  isTransitive(name) {
+    return Boolean(this.relations.get(name)?.transitive);
+  }
+  
+  isSymmetric(name) {
+    return Boolean(this.relations.get(name)?.symmetric);
+  }
+  
+  getInverse(name) {
+    return this.relations.get(name)?.inverse || null;
+  }
+  
+  names() {
+    return Array.from(this.relations.keys());
+  }
+  
+  // Phrases that introduce each relation in a statement, longest first so
+  // "is not part of" wins over "is not" and "is". `plural` records what the
+  // verb says about the subject: "are"/"like" (true), "is"/"likes" (false)
+  // or nothing, as with "can" (null).
+  statementMarkers() {
+    const markers = [];
+    const add = (marker, predicate, negated, plural) => markers.push({ marker, predicate, negated, plural });
+    
+    for (const name of this.relations.keys()) {
+      if (name === "is") {
+        add(" is not ", name, true, false);
+        add(" is ", name, false, false);
+        add(" are not ", name, true, true);
+        add(" are ", name, false, true);
+      } else if (name === "can") {
+        add(" cannot ", name, true, null);
+        add(" can ", name, false, null);
+      } else if (isPrepositionalRelation(name)) {
+        add(` is not ${name} `, name, true, false);
+        add(` is ${name} `, name, false, false);
+        add(` are not ${name} `, name, true, true);
+        add(` are ${name} `, name, false, true);
+        add(` ${name} `, name, false, null);
+      } else {
+        const base = baseVerbForm(name);
+        add(` does not ${base} `, name, true, false);
+        add(` do not ${base} `, name, true, true);
+        if (base === name) {
+          add(` ${name} `, name, false, null);
+        } else {
+          add(` ${name} `, name, false, false);
+          add(` ${base} `, name, false, true);
+        }
+      }
+    }
+    return markers.sort((a, b) => b.marker.length - a.marker.length);
+  }
+  
+  // Relations used as "X is <relation> Y" (part of, located in, ...)
+  prepositionalRelations() {
+    return this.names()
+      .filter(isPrepositionalRelation)
+      .sort((a, b) => b.length - a.length);
+  }
+  
+  // Plain verbs used as "X <verb> Y" / "Does X <base> Y?"
+  verbRelations() {
+    return this.names()
+      .filter(name => name !== "is" && name !== "can" && !isPrepositionalRelation(name))
+      .sort((a, b) => b.length - a.length);
+  }
+  
+  toJSON() {
+    return Array.from(this.relations.values(), relation => ({ ...relation }));
+  }
+  
+  static fromJSON(data = []) {
+    const registry = new RelationRegistry();
+    data.forEach(relation => registry.define(relation.name, relation));
+    return registry;
+  }
+}
+
 // Concept Encoder
+// Each role in a triple raises its prime to a distinct power of two, so the
+// exponent of every prime in an encoding is a bitmask of the roles it fills.
+// "alice likes bob" and "bob likes alice" therefore never collide, and a
+// concept that fills several roles (e.g. "x is x") still decodes exactly.
+// Negative facts additionally carry the reserved negation prime.
+const ROLE_EXPONENTS = {
+  subject: 1n,
+  predicate: 2n,
+  object: 4n,
+  negation: 8n
+};
+
 class ConceptEncoder {
   constructor() {
     this.primeCalc = new PrimeCalculator();
     this.conceptToPrime = new Map();
     this.primeToConceptCache = new Map();
+    this.rolePowers = new Map(); // prime -> { predicate, object } powers, for encodeFact
     this.nextPrimeIndex = 0;
+    this.aliases = new Map(); // alias -> canonical concept
     
     // Special variable token for rules
     this.variablePrime = this.getPrime("_variable_");
+    
+    // Marker for negative facts ("cannot", "is not", "does not have")
+    this.negationPrime = this.getPrime("_not_");
+  }
+  
+  // The canonical concept behind a name ("automobile" -> "car")
+  resolve(concept) {
+    const name = String(concept).toLowerCase();
+    return this.aliases.get(name) || name;
+  }
+  
+  // Make `alias` another name for `canonical`, sharing its prime. Aliases
+  // that pointed at `alias` move along with it.
+  addAlias(alias, canonical) {
+    const name = String(alias).toLowerCase();
+    const target = this.resolve(canonical);
+    if (name === target) return false;
+    
+    for (const [other, current] of this.aliases) {
+      if (current === name) this.aliases.set(other, target);
+    }
+    this.aliases.set(name, target);
+    return true;
+  }
+  
+  aliasesOf(concept) {
+    const target = this.resolve(concept);
+    return Array.from(this.aliases).filter(([, canonical]) => canonical === target).map(([alias]) => alias);
   }
   
   getPrime(concept) {
-    const normalizedConcept = String(concept).toLowerCase();
+    const normalizedConcept = this.resolve(concept);
     if (this.conceptToPrime.has(normalizedConcept)) {
       return this.conceptToPrime.get(normalizedConcept);
     }
@@ -156,6 +487,10 @@ class ConceptEncoder {
     return prime;
   }
   
+  hasConcept(concept) {
+    return this.conceptToPrime.has(this.resolve(concept));
+  }
+  
   getConceptName(prime) {
     return this.primeToConceptCache.get(prime) || `Unknown(${prime})`;
   }
@@ -165,7 +500,24 @@ class ConceptEncoder {
     const predicatePrime = this.getPrime(fact.predicate);
     const objectPrime = this.getPrime(fact.object);
     
-    return subjectPrime * predicatePrime * objectPrime;
+    // BigInt product, so encodings never lose precision
+    const encoding = subjectPrime ** ROLE_EXPONENTS.subject *
+      this.powersOf(predicatePrime).predicate *
+      this.powersOf(objectPrime).object;
+    
+    return fact.negated ? encoding * this.powersOf(this.negationPrime).negation : encoding;
+  }
+  
+  // Fact encodings raise the same primes to the same powers over and over
+  powersOf(prime) {
+    if (!this.rolePowers.has(prime)) {
+      this.rolePowers.set(prime, {
+        predicate: prime ** ROLE_EXPONENTS.predicate,
+        object: prime ** ROLE_EXPONENTS.object,
+        negation: prime ** ROLE_EXPONENTS.negation
+      });
+    }
+    return this.rolePowers.get(prime);
   }
   
   encodeRule(rule) {
@@ -178,7 +530,9 @@ class ConceptEncoder {
         propertyPrime: rule.type === "universal" ? this.getPrime(rule.property) : this.getPrime(rule.capability),
         predicatePrime: rule.type === "universal" ? this.getPrime("is") : this.getPrime("can"),
         conditionEncoding: this.encodeFact(rule.conditions[0]),
-        conclusionEncoding: this.encodeFact(rule.conclusion)
+        conclusionEncoding: this.encodeFact(rule.conclusion),
+        surface: rule.surface,
+        confidence: rule.confidence
       };
     }
     
@@ -188,21 +542,43 @@ class ConceptEncoder {
     return {
       type: "standard",
       conditionEncodings,
-      conclusionEncoding: this.encodeFact(rule.conclusion)
+      conclusionEncoding: this.encodeFact(rule.conclusion),
+      surface: rule.surface,
+      confidence: rule.confidence
     };
   }
   
   decodeFact(encoding) {
     const factors = this.primeCalc.factorize(encoding);
     
-    if (factors.length === 3) {
-      const [subjectPrime, predicatePrime, objectPrime] = factors;
-      
-      const subject = this.getConceptName(subjectPrime);
-      const predicate = this.getConceptName(predicatePrime);
-      const object = this.getConceptName(objectPrime);
+    // Count how often each prime occurs; the count is the role bitmask
+    const exponents = new Map();
+    for (const factor of factors) {
+      exponents.set(factor, (exponents.get(factor) || 0n) + 1n);
+    }
+    
+    const roles = {};
+    for (const [prime, exponent] of exponents) {
+      let remaining = exponent;
+      for (const [role, bit] of Object.entries(ROLE_EXPONENTS)) {
+        if (remaining & bit) {
+          roles[role] = prime;
+          remaining &= ~bit;
+        }
+      }
+      if (remaining !== 0n) return null; // Not a valid fact encoding
+    }
+    
+    if (roles.negation && roles.negation !== this.negationPrime) {
+      return null;
+    }
+    
+    if (roles.subject && roles.predicate && roles.object) {
+      const subject = this.getConceptName(roles.subject);
+      const predicate = this.getConceptName(roles.predicate);
+      const object = this.getConceptName(roles.object);
       
-      return new Fact(subject, predicate, object);
+      return new Fact(subject, predicate, object, Boolean(roles.negation));
     }
     
     return null; // Not a valid fact encoding
@@ -211,30 +587,200 @@ class ConceptEncoder {
   getVariablePrime() {
     return this.variablePrime;
   }
+  
+  // The concept-to-prime table, with primes as strings for JSON
+  toJSON() {
+    return {
+      nextPrimeIndex: this.nextPrimeIndex,
+      concepts: Array.from(this.conceptToPrime, ([concept, prime]) => [concept, prime.toString()]),
+      aliases: Array.from(this.aliases)
+    };
+  }
+  
+  static fromJSON(data) {
+    const encoder = new ConceptEncoder();
+    encoder.conceptToPrime = new Map();
+    encoder.primeToConceptCache = new Map();
+    
+    for (const [concept, prime] of data.concepts) {
+      encoder.conceptToPrime.set(concept, BigInt(prime));
+      encoder.primeToConceptCache.set(BigInt(prime), concept);
+    }
+    encoder.nextPrimeIndex = data.nextPrimeIndex;
+    encoder.aliases = new Map(data.aliases);
+    
+    // Make sure the sieve covers every prime already handed out
+    encoder.primeCalc.getNthPrime(encoder.nextPrimeIndex);
+    encoder.variablePrime = encoder.getPrime("_variable_");
+    encoder.negationPrime = encoder.getPrime("_not_");
+    return encoder;
+  }
 }
 
 // Knowledge Base
+// Facts are kept in insertion order and indexed by encoding and by each
+// role, so lookups stay fast on large knowledge bases. Rules are indexed by
+// the predicate of their conclusion.
 class KnowledgeBase {
   constructor(encoder) {
     this.encoder = encoder;
     this.factEncodings = [];
     this.rules = [];
     this.facts = []; // Original facts for reference
+    
+    this.factsByEncoding = new Map();
+    this.factsByRole = {
+      subject: new Map(),
+      predicate: new Map(),
+      object: new Map()
+    };
+    this.rulesByPredicate = new Map();
+    this.rulesByCondition = new Map(); // conditionKey -> rules with such a condition
+    this.ruleOrder = new Map(); // encoded rule -> sequence number, for rulesUsing
+    this.rulesAdded = 0;
+    this.ruleFacts = new Map(); // Decoded conditions/conclusion per encoded rule
   }
   
   addFact(fact) {
     const encoding = this.encoder.encodeFact(fact);
     this.factEncodings.push(encoding);
     this.facts.push(fact);
+    
+    this.factsByEncoding.set(encoding, fact);
+    for (const [role, index] of Object.entries(this.factsByRole)) {
+      if (!index.has(fact[role])) index.set(fact[role], new Set());
+      index.get(fact[role]).add(fact);
+    }
     return encoding;
   }
   
   addRule(rule) {
-    const encodedRule = this.encoder.encodeRule(rule);
+    return this.addEncodedRule(this.encoder.encodeRule(rule));
+  }
+  
+  addEncodedRule(encodedRule) {
     this.rules.push(encodedRule);
+    this.ruleOrder.set(encodedRule, this.rulesAdded++);
+    
+    const { conditions, conclusion } = this.getRuleFacts(encodedRule);
+    if (!this.rulesByPredicate.has(conclusion.predicate)) this.rulesByPredicate.set(conclusion.predicate, new Set());
+    this.rulesByPredicate.get(conclusion.predicate).add(encodedRule);
+    for (const key of new Set(conditions.map(condition => this.conditionKey(condition)))) {
+      if (!this.rulesByCondition.has(key)) this.rulesByCondition.set(key, new Set());
+      this.rulesByCondition.get(key).add(encodedRule);
+    }
     return encodedRule;
   }
   
+  // Conditions are indexed by predicate and, when it is fixed, object, so
+  // "?x is bird" is found from "tweety is bird" without scanning every rule
+  conditionKey(condition) {
+    if (Fact.isVariable(condition.predicate)) return "?";
+    return Fact.isVariable(condition.object) ? condition.predicate : `${condition.predicate}|${condition.object}`;
+  }
+  
+  // Conditions and conclusion of an encoded rule, decoded once
+  getRuleFacts(encodedRule) {
+    if (!this.ruleFacts.has(encodedRule)) {
+      const conditionEncodings = encodedRule.conditionEncodings || [encodedRule.conditionEncoding];
+      this.ruleFacts.set(encodedRule, {
+        conditions: conditionEncodings.map(enc => this.encoder.decodeFact(enc)),
+        conclusion: this.encoder.decodeFact(encodedRule.conclusionEncoding)
+      });
+    }
+    return this.ruleFacts.get(encodedRule);
+  }
+  
+  hasFact(fact) {
+    return this.factsByEncoding.has(this.encoder.encodeFact(fact));
+  }
+  
+  getFactByEncoding(encoding) {
+    return this.factsByEncoding.get(encoding) || null;
+  }
+  
+  // Facts matching the given roles, e.g. { subject: "socrates", predicate: "is" }.
+  // Starts from the smallest index bucket and filters the rest.
+  findFacts(pattern = {}) {
+    const roles = Object.keys(this.factsByRole).filter(role => pattern[role] !== undefined);
+    if (!roles.length) return this.facts.slice();
+    
+    const buckets = roles.map(role => this.factsByRole[role].get(pattern[role]) || new Set());
+    buckets.sort((a, b) => a.size - b.size);
+    
+    const [smallest] = buckets;
+    return Array.from(smallest).filter(fact => roles.every(role => fact[role] === pattern[role]));
+  }
+  
+  // Every fact that mentions a concept in any role: its prime divides the
+  // encoding, so no per-concept bookkeeping is needed
+  factsMentioning(concept) {
+    const prime = this.encoder.getPrime(concept);
+    return this.facts.filter((fact, index) => this.factEncodings[index] % prime === 0n);
+  }
+  
+  // Rules whose conclusion uses the predicate
+  rulesFor(predicate) {
+    return Array.from(this.rulesByPredicate.get(predicate) || []);
+  }
+  
+  // Rules with a condition the fact could satisfy, in the order they were added
+  rulesUsing(fact) {
+    const keys = ["?", fact.predicate, `${fact.predicate}|${fact.object}`];
+    const rules = new Set(keys.flatMap(key => Array.from(this.rulesByCondition.get(key) || [])));
+    return Array.from(rules).sort((a, b) => this.ruleOrder.get(a) - this.ruleOrder.get(b));
+  }
+  
+  // Remove a fact; returns false when it was not stored
+  removeFact(fact) {
+    const encoding = this.encoder.encodeFact(fact);
+    const stored = this.factsByEncoding.get(encoding);
+    if (!stored) return false;
+    
+    const index = this.factEncodings.indexOf(encoding);
+    this.factEncodings.splice(index, 1);
+    this.facts.splice(index, 1);
+    
+    this.factsByEncoding.delete(encoding);
+    for (const [role, roleIndex] of Object.entries(this.factsByRole)) {
+      const bucket = roleIndex.get(stored[role]);
+      bucket.delete(stored);
+      if (!bucket.size) roleIndex.delete(stored[role]);
+    }
+    return true;
+  }
+  
+  // Rules compare by type and encodings, so a freshly parsed Rule matches
+  // the stored encoded one
+  ruleKey(encodedRule) {
+    const conditions = encodedRule.conditionEncodings || [encodedRule.conditionEncoding];
+    return `${encodedRule.type}:${conditions.join(",")}:${encodedRule.conclusionEncoding}`;
+  }
+  
+  findRuleIndex(rule) {
+    const encodedRule = rule instanceof Rule ? this.encoder.encodeRule(rule) : rule;
+    const key = this.ruleKey(encodedRule);
+    return this.rules.findIndex(stored => this.ruleKey(stored) === key);
+  }
+  
+  hasRule(rule) {
+    return this.findRuleIndex(rule) !== -1;
+  }
+  
+  // Remove a Rule or an encoded rule from `rules`; returns false when absent
+  removeRule(rule) {
+    const index = this.findRuleIndex(rule);
+    if (index === -1) return false;
+    
+    const [stored] = this.rules.splice(index, 1);
+    const { conditions, conclusion } = this.getRuleFacts(stored);
+    this.rulesByPredicate.get(conclusion.predicate).delete(stored);
+    conditions.forEach(condition => this.rulesByCondition.get(this.conditionKey(condition)).delete(stored));
+    this.ruleOrder.delete(stored);
+    this.ruleFacts.delete(stored);
+    return true;
+  }
+  
   getAllFactEncodings() {
     return this.factEncodings;
   }
@@ -243,6 +789,113 @@ class KnowledgeBase {
     return this.rules;
   }
   
+  // Facts as plain triples and encoded rules with BigInts as strings
+  toJSON() {
+    return {
+      facts: this.facts.map(({ subject, predicate, object, negated, surface, confidence }) => ({ subject, predicate, object, negated, surface, confidence })),
+      rules: this.rules.map(rule => {
+        const serialized = {};
+        for (const [key, value] of Object.entries(rule)) {
+          if (typeof value === "bigint") {
+            serialized[key] = value.toString();
+          } else if (Array.isArray(value)) {
+            serialized[key] = value.map(item => item.toString());
+          } else {
+            serialized[key] = value;
+          }
+        }
+        return serialized;
+      })
+    };
+  }
+  
+  // An encoded rule as a Rule again, naming its concepts
+  decodeRule(encodedRule) {
+    const { conditions, conclusion } = this.getRuleFacts(encodedRule);
+    let rule;
+    if (encodedRule.type === "universal" || encodedRule.type === "capability") {
+      const category = this.encoder.getConceptName(encodedRule.categoryPrime);
+      const property = this.encoder.getConceptName(encodedRule.propertyPrime);
+      rule = encodedRule.type === "universal"
+        ? Rule.createUniversalRule(category, property)
+        : Rule.createCapabilityRule(category, property);
+    } else {
+      const copy = fact => new Fact(fact.subject, fact.predicate, fact.object, fact.negated);
+      rule = new Rule(conditions.map(copy), copy(conclusion));
+    }
+    rule.surface = encodedRule.surface || null;
+    rule.confidence = encodedRule.confidence ?? 1;
+    return rule;
+  }
+  
+  // A copy with every concept replaced by its canonical name, after new
+  // aliases merged some of them. Statements that collapse into one are kept
+  // once; those that changed lose their surface form.
+  resolveAliases() {
+    const kb = new KnowledgeBase(this.encoder);
+    const resolve = term => (Fact.isVariable(term) ? term : this.encoder.resolve(term));
+    const resolveFact = fact => {
+      const resolved = new Fact(resolve(fact.subject), fact.predicate, resolve(fact.object), fact.negated);
+      resolved.surface = resolved.subject === fact.subject && resolved.object === fact.object ? fact.surface : null;
+      resolved.confidence = fact.confidence;
+      return resolved;
+    };
+    
+    for (const fact of this.facts) {
+      const resolved = resolveFact(fact);
+      if (!kb.hasFact(resolved)) kb.addFact(resolved);
+    }
+    
+    for (const encodedRule of this.rules) {
+      const { conditions, conclusion } = this.getRuleFacts(encodedRule);
+      let rule;
+      if (encodedRule.type === "universal" || encodedRule.type === "capability") {
+        const category = this.encoder.resolve(this.encoder.getConceptName(encodedRule.categoryPrime));
+        const property = this.encoder.resolve(this.encoder.getConceptName(encodedRule.propertyPrime));
+        rule = encodedRule.type === "universal"
+          ? Rule.createUniversalRule(category, property)
+          : Rule.createCapabilityRule(category, property);
+      } else {
+        rule = new Rule(conditions.map(resolveFact), resolveFact(conclusion));
+      }
+      
+      rule.confidence = encodedRule.confidence ?? 1;
+      const reencoded = this.encoder.encodeRule(rule);
+      rule.surface = this.ruleKey(reencoded) === this.ruleKey(encodedRule) ? encodedRule.surface : null;
+      if (!kb.hasRule(rule)) kb.addRule(rule);
+    }
+    
+    return kb;
+  }
+  
+  // Rebuild a knowledge base; `encoder` must hold the snapshot's prime table
+  static fromJSON(encoder, data) {
+    const kb = new KnowledgeBase(encoder);
+    
+    for (const { subject, predicate, object, negated, surface, confidence } of data.facts) {
+      const fact = new Fact(subject, predicate, object, negated);
+      fact.surface = surface || null;
+      fact.confidence = confidence ?? 1;
+      kb.addFact(fact);
+    }
+    
+    for (const serialized of data.rules) {
+      const rule = {};
+      for (const [key, value] of Object.entries(serialized)) {
+        if (/(Prime|Encoding)$/.test(key)) {
+          rule[key] = BigInt(value);
+        } else if (/Encodings$/.test(key)) {
+          rule[key] = value.map(item => BigInt(item));
+        } else {
+          rule[key] = value;
+        }
+      }
+      kb.addEncodedRule(rule);
+    }
+    
+    return kb;
+  }
+  
   printKnowledgeBase() {
     console.log("Knowledge Base Contents:");
     console.log("Facts:");
@@ -274,436 +927,2916 @@ class KnowledgeBase {
 
 // Reasoning Engine
 class ReasoningEngine {
-  constructor(encoder) {
+  constructor(encoder, relations = new RelationRegistry()) {
     this.encoder = encoder;
+    this.relations = relations;
     this.primeCalc = new PrimeCalculator();
-    this.visited = new Set(); // Track visited queries to prevent infinite recursion
+    this.materialized = null; // ForwardChainer whose derived facts count as known
+    this.combination = "product"; // Key of CONFIDENCE_COMBINATIONS
+    this.maxDepth = 500; // Deeper subgoals fail with a "limit" proof
+    this.explored = 0; // Subgoals solved since the counter was last reset
+    this.deadline = null; // { at, timeout }; past it, solving throws QueryTimeoutError
+    this.onProgress = null; // Called with `explored` every PROGRESS_INTERVAL subgoals
+    this.resetTables();
+  }
+  
+  // Subgoal tables for one top-level query. `path` holds the goals being
+  // proved (key -> position), `table` finished results, `provisional`
+  // failures that assumed goals on the path were false (`pending` lists
+  // their keys in order), and `cuts` the goals the current subgoal has
+  // assumed false so far. `dirty` notes that a goal assumed false was
+  // proved after all.
+  resetTables() {
+    this.path = new Map();
+    this.table = new Map();
+    this.provisional = new Map();
+    this.pending = [];
+    this.cuts = new Set();
+    this.dirty = false;
   }
   
   deduce(kb, queryFact) {
-    // Reset visited set for each new top-level query
-    this.visited = new Set();
-    return this._deduce(kb, queryFact);
+    this.resetTables();
+    let result = this._deduce(kb, queryFact);
+    // A failure that ran into the depth limit says so
+    if (!result.result && !result.refuted && this.cuts.has(DEPTH_LIMIT)) {
+      result = { result: false, proof: { type: "limit", fact: queryFact, children: [] } };
+    }
+    this.scoreProof(result.proof);
+    return {
+      ...result,
+      confidence: result.result || result.refuted ? result.proof.confidence : null,
+      explanation: this.renderProof(result.proof)
+    };
   }
   
-  _deduce(kb, queryFact, depth = 0) {
-    // Encode the query fact
-    const queryEncoding = this.encoder.encodeFact(queryFact);
+  // A proof of the fact from rules, relations or inheritance alone, even
+  // where a stored fact or exception says otherwise, or null. Finds both
+  // sides of a conflict.
+  derivation(kb, fact) {
+    this.resetTables();
+    const result = this._deriveFact(kb, fact, 0);
+    if (!result.result) return null;
+    this.scoreProof(result.proof);
+    return result.proof;
+  }
+  
+  // Give every node of a proof tree a `confidence`. Stored facts and rules
+  // carry their own; a step combines its premises with the fact or rule it
+  // used. An exception is as certain as the negative fact behind it.
+  scoreProof(node) {
+    const premises = node.children.map(child => this.scoreProof(child));
+    const own = node.source ? [node.source.confidence ?? 1] : [];
     
-    // Check for recursion
-    const queryKey = queryFact.toString();
-    if (this.visited.has(queryKey)) {
-      return { 
-        result: false, 
-        explanation: `Circular reasoning detected: ${queryFact}` 
-      };
+    if (node.type === "fact") {
+      node.confidence = own.length ? own[0] : 1;
+    } else if (node.type === "exception") {
+      node.confidence = premises[0];
+    } else if (node.type === "failure" || node.type === "circular" || node.type === "limit") {
+      node.confidence = 0;
+    } else {
+      node.confidence = CONFIDENCE_COMBINATIONS[this.combination]([...own, ...premises]);
     }
-    this.visited.add(queryKey);
+    return node.confidence;
+  }
+  
+  // Tabled resolution. A goal already on the current path fails there
+  // ("circular"), since it could only prove itself. Successes and failures
+  // that did not rely on such a cut are final and reused for the rest of the
+  // query. A failure that did is provisional, and reused as it stands until
+  // the outermost goal it depends on (the leader) is finished. If the leader
+  // fails, its provisional failures become final, unless a goal they assumed
+  // false was proved meanwhile; then the leader is solved again, keeping
+  // what has been proved. Each goal is thus solved about once per round.
+  _deduce(kb, queryFact, depth = 0) {
+    const queryKey = queryFact.toString();
+    if (this.table.has(queryKey)) return this.table.get(queryKey);
     
-    // Check if directly in KB
-    if (kb.factEncodings.includes(queryEncoding)) {
-      return { 
-        result: true, 
-        explanation: `Direct fact in knowledge base: ${queryFact}` 
-      };
+    if (this.path.has(queryKey)) {
+      this.cuts.add(queryKey);
+      return { result: false, proof: { type: "circular", fact: queryFact, children: [] } };
     }
     
-    // Check all universal and capability rules
-    for (const rule of kb.rules) {
-      if (rule.type === "universal" || rule.type === "capability") {
-        // If query predicate matches the rule's predicate (is/can)
-        if (queryFact.predicate === this.encoder.getConceptName(rule.predicatePrime) && 
-            queryFact.object === this.encoder.getConceptName(rule.propertyPrime)) {
-          
-          // Check if subject is of the right category
-          const membershipFact = new Fact(
-            queryFact.subject, 
-            "is", 
-            this.encoder.getConceptName(rule.categoryPrime)
-          );
-          
-          const subResult = this._deduce(kb, membershipFact, depth + 1);
-          if (subResult.result) {
-            const ruleType = rule.type === "universal" ? "are" : "can";
-            return { 
-              result: true, 
-              explanation: `${subResult.explanation}, and all ${this.encoder.getConceptName(rule.categoryPrime)} ${ruleType} ${this.encoder.getConceptName(rule.propertyPrime)}` 
-            };
-          }
-        }
+    const provisional = this.provisional.get(queryKey);
+    if (provisional) {
+      const assumptions = this.resolveAssumptions(provisional.assumptions);
+      if (assumptions) {
+        assumptions.forEach(key => this.cuts.add(key));
+        return provisional.result;
       }
+      this.provisional.delete(queryKey);
     }
-    // Check standard rules
-    for (const rule of kb.rules) {
-      if (rule.type === "standard") {
-        // If the conclusion matches our query
-        if (rule.conclusionEncoding === queryEncoding) {
-          // All conditions must be satisfied
-          let allConditionsMet = true;
-          let explanations = [];
-          
-          for (const conditionEncoding of rule.conditionEncodings) {
-            const conditionFact = this.encoder.decodeFact(conditionEncoding);
-            if (!conditionFact) {
-              allConditionsMet = false;
-              break;
-            }
-            
-            const conditionResult = this._deduce(kb, conditionFact, depth + 1);
-            
-            if (!conditionResult.result) {
-              allConditionsMet = false;
-              break;
-            }
-            
-            explanations.push(conditionResult.explanation);
-          }
-          
-          if (allConditionsMet) {
-            return {
-              result: true,
-              explanation: `${explanations.join(', ')}, which implies ${queryFact}`
-            };
-          }
-        }
+    
+    // Too deep to go on; the failure is never tabled, as a shallower
+    // branch may still prove the goal
+    if (depth > this.maxDepth) {
+      this.cuts.add(DEPTH_LIMIT);
+      return { result: false, proof: { type: "limit", fact: queryFact, children: [] } };
+    }
+    
+    this.explored++;
+    if (this.explored % PROGRESS_INTERVAL === 0) {
+      if (this.onProgress) this.onProgress(this.explored);
+      if (this.deadline && Date.now() > this.deadline.at) {
+        throw new QueryTimeoutError(this.deadline.timeout, this.explored);
       }
     }
     
-    // Try to apply transitive reasoning for certain predicates
-    if (["is", "part of"].includes(queryFact.predicate)) {
-      const transitiveResult = this.tryTransitiveReasoning(kb, queryFact, depth);
-      if (transitiveResult.result) {
-        return transitiveResult;
+    const outerCuts = this.cuts;
+    const outerDirty = this.dirty;
+    const mark = this.pending.length;
+    this.path.set(queryKey, this.path.size);
+    let result, leader, proved;
+    for (;;) {
+      this.cuts = new Set();
+      this.dirty = false;
+      result = this._solve(kb, queryFact, depth);
+      proved = result.result || result.refuted;
+      // Proving a goal that something assumed false spoils that assumption
+      if (this.cuts.delete(queryKey) && proved) this.dirty = true;
+      leader = ![...this.cuts].some(key => this.path.has(key));
+      if (!leader || proved || !this.dirty) break;
+      this.discardPending(mark);
+    }
+    this.path.delete(queryKey);
+    
+    if (leader) {
+      // Nothing above this goal was assumed: its provisional failures are
+      // settled, and final when it failed without hitting the depth limit
+      const settled = !proved && !this.cuts.has(DEPTH_LIMIT);
+      for (const key of this.pending.splice(mark)) {
+        const entry = this.provisional.get(key);
+        if (entry && settled) this.table.set(key, entry.result);
+        this.provisional.delete(key);
       }
+      this.dirty = outerDirty;
+    } else {
+      this.dirty = outerDirty || this.dirty;
     }
     
-    // No deduction path found
-    return { 
-      result: false, 
-      explanation: `Could not deduce: ${queryFact}` 
-    };
+    if (proved || !this.cuts.size) {
+      this.table.set(queryKey, result);
+    } else if (!leader && !this.cuts.has(DEPTH_LIMIT)) {
+      this.provisional.set(queryKey, { result, assumptions: this.cuts });
+      this.pending.push(queryKey);
+    }
+    this.cuts.forEach(key => outerCuts.add(key));
+    this.cuts = outerCuts;
+    return result;
   }
   
-  // Special case for transitive relations like "part of" or "is a"
-  tryTransitiveReasoning(kb, queryFact, depth) {
-    const { subject, predicate, object } = queryFact;
+  // The goals on the path a provisional failure still depends on, following
+  // finished goals through their own assumptions; null once one of them has
+  // been proved, as the failure no longer holds
+  resolveAssumptions(assumptions, found = new Set(), seen = new Set()) {
+    for (const key of assumptions) {
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (this.path.has(key)) {
+        found.add(key);
+      } else if (this.provisional.has(key)) {
+        if (!this.resolveAssumptions(this.provisional.get(key).assumptions, found, seen)) return null;
+      } else {
+        return null;
+      }
+    }
+    return found;
+  }
+  
+  // Drop the provisional failures recorded since `mark`
+  discardPending(mark) {
+    this.pending.splice(mark).forEach(key => this.provisional.delete(key));
+  }
+  
+  // Results carry a proof tree instead of a sentence. Every node has a
+  // `type`, the `fact` it establishes, its premises as `children` and, where
+  // one was used, the `source` fact or encoded rule from the knowledge base.
+  _solve(kb, queryFact, depth) {
+    const queryEncoding = this.encoder.encodeFact(queryFact);
     
-    // Look for intermediate concepts
-    for (const fact of kb.facts) {
-      if (fact.subject === subject && fact.predicate === predicate) {
-        // Found a potential intermediate: subject predicate intermediate
-        const intermediateFact = new Fact(fact.object, predicate, object);
-        const result = this._deduce(kb, intermediateFact, depth + 1);
+    // Check if directly in KB
+    const directProof = this.directFactProof(kb, queryFact, queryEncoding);
+    if (directProof) {
+      return { result: true, proof: directProof };
+    }
+    
+    // Already derived by forward chaining
+    const derivedProof = this.materialized && this.materialized.proofFor(queryEncoding);
+    if (derivedProof) {
+      return { result: true, proof: derivedProof };
+    }
+    
+    if (queryFact.negated) {
+      // An explicit positive fact refutes an inherited negative one
+      const positiveProof = this.directFactProof(kb, queryFact.negate());
+      if (positiveProof) {
+        return { result: false, refuted: true, proof: positiveProof };
+      }
+      return this._deriveFact(kb, queryFact, depth);
+    }
+    
+    // Explicit negative facts are exceptions that defeat inherited rules
+    const exception = this._deduce(kb, queryFact.negate(), depth + 1);
+    if (exception.result) {
+      const overridden = this._deriveFact(kb, queryFact, depth);
+      return {
+        result: false,
+        refuted: true,
+        proof: {
+          type: "exception",
+          fact: queryFact,
+          children: overridden.result ? [exception.proof, overridden.proof] : [exception.proof]
+        }
+      };
+    }
+    
+    return this._deriveFact(kb, queryFact, depth);
+  }
+  
+  directFactProof(kb, fact, encoding = this.encoder.encodeFact(fact)) {
+    const source = kb.getFactByEncoding(encoding);
+    if (!source) return null;
+    return { type: "fact", fact, source, children: [] };
+  }
+  
+  // Derive a fact that is not stored directly, using rules, transitivity
+  // and (for negative facts) inheritance of exceptions from categories
+  _deriveFact(kb, queryFact, depth) {
+    const candidateRules = kb.rulesFor(queryFact.predicate);
+    
+    // Check all universal and capability rules
+    for (const rule of candidateRules) {
+      if (!queryFact.negated && (rule.type === "universal" || rule.type === "capability")) {
+        // If query predicate matches the rule's predicate (is/can)
+        if (queryFact.predicate === this.encoder.getConceptName(rule.predicatePrime) && 
+            queryFact.object === this.encoder.getConceptName(rule.propertyPrime)) {
+          const category = this.encoder.getConceptName(rule.categoryPrime);
+          
+          // The category itself has the property ("What can birds do?")
+          if (queryFact.subject === category) {
+            return {
+              result: true,
+              proof: { type: rule.type, fact: queryFact, source: rule, children: [] }
+            };
+          }
+          
+          // Check if subject is of the right category
+          const membershipFact = new Fact(
+            queryFact.subject, 
+            "is", 
+            category
+          );
+          
+          const subResult = this._deduce(kb, membershipFact, depth + 1);
+          if (subResult.result) {
+            return { 
+              result: true, 
+              proof: { type: rule.type, fact: queryFact, source: rule, children: [subResult.proof] }
+            };
+          }
+        }
+      }
+    }
+    // Check standard rules
+    for (const rule of candidateRules) {
+      if (rule.type === "standard") {
+        // If the conclusion unifies with our query
+        const { conditions, conclusion } = kb.getRuleFacts(rule);
+        const bindings = conclusion && this.unify(conclusion, queryFact, {});
+        if (!bindings) continue;
+        if (conditions.some(condition => !condition)) continue;
         
-        if (result.result) {
+        // All conditions must be satisfied under one consistent set of bindings
+        const proof = this.proveConditions(kb, conditions, bindings, depth + 1);
+        if (proof) {
           return {
             result: true,
-            explanation: `${subject} ${predicate} ${fact.object}, and ${result.explanation}`
+            proof: {
+              type: "standard",
+              fact: queryFact,
+              source: rule,
+              bindings: proof.bindings,
+              children: proof.proofs
+            }
           };
         }
       }
     }
     
-    return { result: false, explanation: "" };
+    // Try to apply transitive reasoning for relations declared transitive
+    if (!queryFact.negated && this.relations.isTransitive(queryFact.predicate)) {
+      const transitiveResult = this.tryTransitiveReasoning(kb, queryFact, depth);
+      if (transitiveResult.result) {
+        return transitiveResult;
+      }
+    }
+    
+    // Symmetric relations hold in both directions
+    if (!queryFact.negated && this.relations.isSymmetric(queryFact.predicate)) {
+      const swapped = new Fact(queryFact.object, queryFact.predicate, queryFact.subject);
+      const subResult = this._deduce(kb, swapped, depth + 1);
+      if (subResult.result) {
+        return {
+          result: true,
+          proof: { type: "symmetric", fact: queryFact, children: [subResult.proof] }
+        };
+      }
+    }
+    
+    // "X parent of Y" follows from "Y child of X"
+    const inverse = this.relations.getInverse(queryFact.predicate);
+    if (!queryFact.negated && inverse) {
+      const inverted = new Fact(queryFact.object, inverse, queryFact.subject);
+      const subResult = this._deduce(kb, inverted, depth + 1);
+      if (subResult.result) {
+        return {
+          result: true,
+          proof: { type: "inverse", fact: queryFact, inverse, children: [subResult.proof] }
+        };
+      }
+    }
+    
+    // Members inherit the exceptions of their categories
+    if (queryFact.negated) {
+      const inheritedResult = this.tryInheritedException(kb, queryFact, depth);
+      if (inheritedResult.result) {
+        return inheritedResult;
+      }
+    }
+    
+    // No deduction path found
+    return { 
+      result: false, 
+      proof: { type: "failure", fact: queryFact, children: [] }
+    };
   }
-}
-
-// Language Processor
-class LanguageProcessor {
-  constructor(encoder) {
-    this.encoder = encoder;
+  
+  // Three-valued answer: proved, proved false, or neither
+  answerFor(result) {
+    if (result.result) return "Yes";
+    if (result.refuted) return "No";
+    return "Unknown";
   }
   
-  parseFact(sentence) {
-    // Clean and normalize the sentence
-    const text = sentence.toLowerCase().replace(/[.?!,;]$/g, '').trim();
+  // Evaluate a compound query tree of "fact", "and", "or" and "not" nodes.
+  // "and" is No as soon as one part is No and Yes only when all are, "or"
+  // the other way round, and "not" swaps Yes and No; Unknown stays Unknown.
+  evaluate(kb, expression) {
+    if (expression.type === "fact") {
+      const result = this.deduce(kb, expression.fact);
+      return {
+        expression,
+        answer: this.answerFor(result),
+        confidence: result.confidence,
+        explanation: result.explanation,
+        proof: result.proof,
+        parts: []
+      };
+    }
     
-    // Handle "X is Y" statements
-    if (text.includes(' is ')) {
-      const parts = text.split(' is ');
-      if (parts.length === 2) {
-        const subject = parts[0].trim();
-        const object = parts[1].trim();
-        return new Fact(subject, "is", object);
+    const operands = expression.type === "not" ? [expression.operand] : expression.operands;
+    const parts = operands.map(operand => this.evaluate(kb, operand));
+    const answers = parts.map(part => part.answer);
+    
+    let answer = "Unknown";
+    if (expression.type === "not") {
+      answer = { Yes: "No", No: "Yes", Unknown: "Unknown" }[answers[0]];
+    } else if (expression.type === "and") {
+      if (answers.includes("No")) answer = "No";
+      else if (answers.every(value => value === "Yes")) answer = "Yes";
+    } else if (expression.type === "or") {
+      if (answers.includes("Yes")) answer = "Yes";
+      else if (answers.every(value => value === "No")) answer = "No";
+    }
+    
+    // Confidence follows the parts that decided the answer: all of them
+    // for a Yes conjunction or a No disjunction, the strongest one otherwise
+    const deciding = parts.filter(part => part.answer === (expression.type === "not" ? parts[0].answer : answer));
+    let confidence = null;
+    if (answer !== "Unknown") {
+      const values = deciding.map(part => part.confidence);
+      confidence = (expression.type === "and") === (answer === "Yes") && expression.type !== "not"
+        ? CONFIDENCE_COMBINATIONS[this.combination](values)
+        : Math.max(...values);
+    }
+    
+    const explanation = parts
+      .map(part => `${this.formatExpression(part.expression)}: ${part.answer} (${part.explanation})`)
+      .join("; ");
+    return {
+      expression,
+      answer,
+      confidence,
+      explanation: expression.type === "not" ? `Negation of ${explanation}` : explanation,
+      proof: {
+        type: expression.type,
+        fact: null,
+        label: this.formatExpression(expression),
+        answer,
+        confidence: confidence ?? 0,
+        children: parts.map(part => part.proof)
+      },
+      parts
+    };
+  }
+  
+  formatExpression(expression) {
+    const wrap = operand => (operand.type === "fact" ? this.formatExpression(operand) : `(${this.formatExpression(operand)})`);
+    switch (expression.type) {
+      case "fact":
+        return expression.fact.toString();
+      case "not":
+        return `NOT ${wrap(expression.operand)}`;
+      default:
+        return expression.operands.map(wrap).join(` ${expression.type.toUpperCase()} `);
+    }
+  }
+  
+  // Why a query could not be deduced: each rule and transitive path that
+  // could have produced it, with the premises it had and the ones it lacked,
+  // plus the smallest sets of missing facts that would make the query true
+  explainFailure(kb, queryFact) {
+    const { subject, predicate, object } = queryFact;
+    const attempts = [];
+    
+    for (const rule of kb.rulesFor(predicate)) {
+      if (rule.type === "universal" || rule.type === "capability") {
+        if (queryFact.negated || object !== this.encoder.getConceptName(rule.propertyPrime)) continue;
+        const membership = new Fact(subject, "is", this.encoder.getConceptName(rule.categoryPrime));
+        const met = this.deduce(kb, membership).result;
+        attempts.push({
+          type: rule.type,
+          source: rule,
+          satisfied: met ? [membership] : [],
+          missing: met ? [] : [membership]
+        });
+      } else if (rule.type === "standard") {
+        const { conditions, conclusion } = kb.getRuleFacts(rule);
+        const bindings = this.unify(conclusion, queryFact, {});
+        if (!bindings) continue;
+        const { satisfied, missing } = this.missingConditions(kb, conditions, bindings);
+        attempts.push({ type: "standard", source: rule, satisfied, missing });
       }
     }
     
-    // Handle "X has Y" statements
-    if (text.includes(' has ')) {
-      const parts = text.split(' has ');
-      if (parts.length === 2) {
-        const subject = parts[0].trim();
-        const object = parts[1].trim();
-        return new Fact(subject, "has", object);
+    if (!queryFact.negated && this.relations.isTransitive(predicate)) {
+      // One known step from either end; the rest of the path is missing
+      for (const step of kb.findFacts({ subject, predicate })) {
+        if (step.negated || step.object === object) continue;
+        attempts.push({ type: "transitive", source: step, satisfied: [step], missing: [new Fact(step.object, predicate, object)] });
+      }
+      for (const step of kb.findFacts({ predicate, object })) {
+        if (step.negated || step.subject === subject) continue;
+        attempts.push({ type: "transitive", source: step, satisfied: [step], missing: [new Fact(subject, predicate, step.subject)] });
       }
     }
     
-    // Handle "X can Y" statements
-    if (text.includes(' can ')) {
-      const parts = text.split(' can ');
-      if (parts.length === 2) {
-        const subject = parts[0].trim();
-        const action = parts[1].trim();
-        return new Fact(subject, "can", action);
+    if (queryFact.negated) {
+      // Categories the subject belongs to could carry the exception
+      for (const membership of kb.findFacts({ subject, predicate: "is" })) {
+        if (membership.negated) continue;
+        attempts.push({ type: "inheritance", source: membership, satisfied: [membership], missing: [new Fact(membership.object, predicate, object, true)] });
       }
     }
     
-    // Handle "X cannot Y" statements
-    if (text.includes(' cannot ')) {
-      const parts = text.split(' cannot ');
-      if (parts.length === 2) {
-        const subject = parts[0].trim();
-        const action = parts[1].trim();
-        // Encode as negative capability
-        return new Fact(subject, "cannot", action);
+    // Fewest missing facts wins; stating the query itself always works
+    const fewest = Math.min(...attempts.map(attempt => attempt.missing.length).filter(count => count > 0));
+    const seen = new Set();
+    const suggestions = [];
+    for (const attempt of attempts) {
+      const key = attempt.missing.join(" AND ");
+      if (attempt.missing.length !== fewest || seen.has(key)) continue;
+      seen.add(key);
+      suggestions.push(attempt.missing);
+    }
+    if (!suggestions.length) suggestions.push([queryFact]);
+    
+    return { attempts, suggestions };
+  }
+  
+  // Like proveConditions, but instead of failing it records which conditions
+  // are unmet, choosing the bindings that leave the fewest of them
+  missingConditions(kb, conditions, bindings, limit = 20) {
+    if (!conditions.length) {
+      return { bindings, satisfied: [], missing: [] };
+    }
+    
+    const [first, ...rest] = conditions;
+    const goal = this.substitute(first, bindings);
+    
+    if (goal.isGround()) {
+      const restResult = this.missingConditions(kb, rest, bindings, limit);
+      return this.deduce(kb, goal).result
+        ? { ...restResult, satisfied: [goal, ...restResult.satisfied] }
+        : { ...restResult, missing: [goal, ...restResult.missing] };
+    }
+    
+    const known = {};
+    for (const role of ["subject", "predicate", "object"]) {
+      if (!Fact.isVariable(goal[role])) known[role] = goal[role];
+    }
+    
+    const options = [];
+    for (const fact of kb.findFacts(known).slice(0, limit)) {
+      const candidateBindings = this.unify(goal, fact, bindings);
+      if (!candidateBindings) continue;
+      
+      const restResult = this.missingConditions(kb, rest, candidateBindings, limit);
+      options.push({ ...restResult, satisfied: [fact, ...restResult.satisfied] });
+      if (!restResult.missing.length) break;
+    }
+    
+    // Or leave the condition unmet, filling in what later conditions bind
+    const restResult = this.missingConditions(kb, rest, bindings, limit);
+    options.push({ ...restResult, missing: [this.substitute(goal, restResult.bindings), ...restResult.missing] });
+    
+    return options.reduce((best, option) => (option.missing.length < best.missing.length ? option : best));
+  }
+  
+  // Stored facts and rules a proof tree relies on
+  proofSources(node, sources = new Set()) {
+    if (!node) return sources;
+    if (node.source) sources.add(node.source);
+    node.children.forEach(child => this.proofSources(child, sources));
+    return sources;
+  }
+  
+  // Render a proof tree as the familiar one-line explanation
+  renderProof(node) {
+    switch (node.type) {
+      case "fact":
+        return `Direct fact in knowledge base: ${node.fact}`;
+      case "universal":
+      case "capability": {
+        const statement = this.ruleStatement(node);
+        if (!node.children.length) {
+          return statement;
+        }
+        return `${this.renderProof(node.children[0])}, and ${statement.charAt(0).toLowerCase()}${statement.slice(1)}`;
       }
+      case "standard":
+        return `${node.children.map(child => this.renderProof(child)).join(', ')}, which implies ${node.fact}`;
+      case "transitive":
+      case "inheritance":
+        return `${node.step}, and ${this.renderProof(node.children[0])}`;
+      case "symmetric":
+        return `${this.renderProof(node.children[0])}, and ${node.fact.predicate} is symmetric`;
+      case "inverse":
+        return `${this.renderProof(node.children[0])}, and ${node.fact.predicate} is the inverse of ${node.inverse}`;
+      case "exception": {
+        const [exception, overridden] = node.children;
+        return overridden
+          ? `Exception: ${this.renderProof(exception)}. This overrides: ${this.renderProof(overridden)}`
+          : `Exception: ${this.renderProof(exception)}`;
+      }
+      case "and":
+      case "or":
+      case "not":
+        return `${node.label}: ${node.answer}`;
+      case "circular":
+        return `Circular reasoning detected: ${node.fact}`;
+      case "limit":
+        return `Depth limit reached: ${node.fact}`;
+      default:
+        return `Could not deduce: ${node.fact}`;
     }
+  }
+  
+  // "All humans are mortal" as the user wrote it, or rebuilt from the primes
+  ruleStatement(node) {
+    if (node.source.surface) return node.source.surface;
+    
+    const verb = node.type === "universal" ? "are" : "can";
+    const category = this.encoder.getConceptName(node.source.categoryPrime);
+    const property = this.encoder.getConceptName(node.source.propertyPrime);
+    return `All ${category} ${verb} ${property}`;
+  }
+  
+  // Short label for a single proof node, used by outline views
+  describeProofStep(node) {
+    const labels = {
+      fact: "Direct fact",
+      universal: "Universal rule",
+      capability: "Capability rule",
+      standard: "Standard rule",
+      transitive: "Transitive step",
+      symmetric: "Symmetric relation",
+      inverse: "Inverse relation",
+      inheritance: "Inherited exception",
+      exception: "Exception",
+      circular: "Circular reasoning",
+      limit: "Depth limit reached",
+      failure: "Could not deduce",
+      and: "All of",
+      or: "Any of",
+      not: "Negation"
+    };
+    const label = labels[node.type] || node.type;
     
-    // Handle "X likes Y" statements
-    if (text.includes(' likes ')) {
-      const parts = text.split(' likes ');
-      if (parts.length === 2) {
-        const subject = parts[0].trim();
-        const object = parts[1].trim();
-        return new Fact(subject, "likes", object);
+    if (node.type === "and" || node.type === "or" || node.type === "not") {
+      return `${label}: ${node.label} — ${node.answer}`;
+    }
+    if (node.type === "universal" || node.type === "capability") {
+      const statement = this.ruleStatement(node);
+      return `${label}: ${statement.charAt(0).toLowerCase()}${statement.slice(1)}, so ${node.fact}`;
+    }
+    if (node.type === "transitive" || node.type === "inheritance") {
+      return `${label}: ${node.step}, so ${node.fact}`;
+    }
+    return `${label}: ${node.fact}`;
+  }
+  
+  // Answer an open question: every grounding of the pattern's variables that
+  // can be deduced, each with its own explanation
+  findAnswers(kb, pattern) {
+    const answers = [];
+    for (const { bindings, fact } of this.groundings(kb, pattern)) {
+      const result = this.deduce(kb, fact);
+      if (result.result) {
+        answers.push({ bindings, fact, proof: result.proof, explanation: result.explanation });
       }
     }
+    return answers;
+  }
+  
+  // The pattern with its variable subject and object filled in every way
+  // candidateValues allows, as { bindings, fact }
+  groundings(kb, pattern) {
+    let candidates = [{}];
+    for (const role of ["subject", "object"].filter(role => Fact.isVariable(pattern[role]))) {
+      const values = this.candidateValues(kb, pattern, role);
+      candidates = candidates.flatMap(bindings =>
+        [...values].map(value => ({ ...bindings, [pattern[role]]: value }))
+      );
+    }
+    return candidates.map(bindings => ({ bindings, fact: this.substitute(pattern, bindings) }));
+  }
+  
+  // Concepts that could fill `role` in the pattern: values seen in facts with
+  // the same predicate, plus whatever the rules for that predicate can produce
+  candidateValues(kb, pattern, role) {
+    const values = new Set();
+    const otherRole = role === "subject" ? "object" : "subject";
+    const anchor = Fact.isVariable(pattern[otherRole]) ? undefined : pattern[otherRole];
     
-    // Handle "X teaches Y" statements
-    if (text.includes(' teaches ')) {
-      const parts = text.split(' teaches ');
-      if (parts.length === 2) {
-        const subject = parts[0].trim();
-        const object = parts[1].trim();
-        return new Fact(subject, "teaches", object);
+    // Terms linked to `start` by stored facts (from `fromRole` to `toRole`),
+    // following chains for transitive relations. Without a start term every
+    // fact with the predicate contributes.
+    const addLinkedTerms = (predicate, fromRole, toRole, start) => {
+      if (start === undefined) {
+        for (const fact of kb.findFacts({ predicate })) values.add(fact[toRole]);
+        return;
+      }
+      
+      const frontier = [start];
+      const seen = new Set(frontier);
+      while (frontier.length) {
+        const term = frontier.pop();
+        for (const fact of kb.findFacts({ predicate, [fromRole]: term })) {
+          const next = fact[toRole];
+          values.add(next);
+          if (this.relations.isTransitive(predicate) && !seen.has(next)) {
+            seen.add(next);
+            frontier.push(next);
+          }
+        }
       }
+    };
+    
+    addLinkedTerms(pattern.predicate, otherRole, role, anchor);
+    
+    // Symmetric and inverse relations read stored facts the other way round
+    if (this.relations.isSymmetric(pattern.predicate)) {
+      addLinkedTerms(pattern.predicate, role, otherRole, anchor);
+    }
+    const inverse = this.relations.getInverse(pattern.predicate);
+    if (inverse) {
+      addLinkedTerms(inverse, role, otherRole, anchor);
     }
     
-    // Handle "X part of Y" statements
-    if (text.includes(' part of ')) {
-      const parts = text.split(' part of ');
-      if (parts.length === 2) {
-        const subject = parts[0].trim().replace('the ', '');
-        const object = parts[1].trim().replace('the ', '');
-        return new Fact(subject, "part of", object);
+    for (const rule of kb.rulesFor(pattern.predicate)) {
+      if (rule.type === "universal" || rule.type === "capability") {
+        const category = this.encoder.getConceptName(rule.categoryPrime);
+        const property = this.encoder.getConceptName(rule.propertyPrime);
+        if (role === "object") {
+          values.add(property);
+        } else if (anchor === undefined || anchor === property) {
+          // Members of the category, and the category itself
+          values.add(category);
+          addLinkedTerms("is", "object", "subject", category);
+        }
+      } else if (rule.type === "standard") {
+        const { conclusion } = kb.getRuleFacts(rule);
+        if (Fact.isVariable(conclusion[role])) {
+          // Bound by the conditions, so anything mentioned in a fact
+          for (const term of kb.factsByRole.subject.keys()) values.add(term);
+          for (const term of kb.factsByRole.object.keys()) values.add(term);
+        } else {
+          values.add(conclusion[role]);
+        }
       }
     }
     
-    return null; // Parsing failed
+    return values;
   }
   
-  parseRule(sentence) {
-    // Clean and normalize the sentence
-    const text = sentence.toLowerCase().replace(/[.?!,;]$/g, '').trim();
+  // Match a (possibly variable) pattern against a fact, extending bindings.
+  // Returns the new bindings, or null when they cannot be unified.
+  unify(pattern, fact, bindings) {
+    if (pattern.negated !== fact.negated) return null;
     
-    // Handle "All X are Y" rules
-    if (text.startsWith('all ') && text.includes(' are ')) {
-      const parts = text.replace('all ', '').split(' are ');
-      if (parts.length === 2) {
-        const category = parts[0].trim();
-        const property = parts[1].trim();
-        return Rule.createUniversalRule(category, property);
+    const result = { ...bindings };
+    for (const role of ["subject", "predicate", "object"]) {
+      const term = pattern[role];
+      const value = fact[role];
+      if (Fact.isVariable(term)) {
+        if (term in result && result[term] !== value) return null;
+        result[term] = value;
+      } else if (term !== value) {
+        return null;
       }
     }
+    return result;
+  }
+  
+  substitute(pattern, bindings) {
+    const resolve = term => (Fact.isVariable(term) && term in bindings ? bindings[term] : term);
+    return new Fact(resolve(pattern.subject), resolve(pattern.predicate), resolve(pattern.object), pattern.negated);
+  }
+  
+  // Prove rule conditions left to right, propagating variable bindings.
+  // Conditions that still contain variables are bound against stored facts,
+  // then against what rules and relations could derive, and the search
+  // backtracks when a later condition fails.
+  proveConditions(kb, conditions, bindings, depth) {
+    if (!conditions.length) {
+      return { bindings, proofs: [] };
+    }
     
-    // Handle "All X can Y" rules
-    if (text.startsWith('all ') && text.includes(' can ')) {
-      const parts = text.replace('all ', '').split(' can ');
-      if (parts.length === 2) {
-        const category = parts[0].trim();
-        const capability = parts[1].trim();
-        return Rule.createCapabilityRule(category, capability);
-      }
+    const [first, ...rest] = conditions;
+    const goal = this.substitute(first, bindings);
+    
+    if (goal.isGround()) {
+      const result = this._deduce(kb, goal, depth);
+      if (!result.result) return null;
+      
+      const restProof = this.proveConditions(kb, rest, bindings, depth);
+      return restProof && {
+        bindings: restProof.bindings,
+        proofs: [result.proof, ...restProof.proofs]
+      };
     }
     
-    // Handle explicit IF-THEN rules
-    if ((text.startsWith('if ') && text.includes(' then ')) || 
-        (text.startsWith('if ') && text.includes(', then '))) {
-      let parts;
-      if (text.includes(', then ')) {
-        parts = text.replace('if ', '').split(', then ');
-      } else {
-        parts = text.replace('if ', '').split(' then ');
+    // Only ground roles narrow the index lookup
+    const known = {};
+    for (const role of ["subject", "predicate", "object"]) {
+      if (!Fact.isVariable(goal[role])) known[role] = goal[role];
+    }
+    
+    for (const fact of kb.findFacts(known)) {
+      const candidateBindings = this.unify(goal, fact, bindings);
+      if (!candidateBindings) continue;
+      
+      const restProof = this.proveConditions(kb, rest, candidateBindings, depth);
+      if (restProof) {
+        return {
+          bindings: restProof.bindings,
+          proofs: [{ type: "fact", fact, source: fact, children: [] }, ...restProof.proofs]
+        };
       }
+    }
+    if (Fact.isVariable(goal.predicate)) return null;
+    
+    for (const { fact } of this.groundings(kb, goal)) {
+      if (kb.hasFact(fact)) continue; // Tried above
+      const result = this._deduce(kb, fact, depth);
+      if (!result.result) continue;
       
-      if (parts.length === 2) {
-        const conditionText = parts[0].trim();
-        const conclusionText = parts[1].trim();
+      const restProof = this.proveConditions(kb, rest, this.unify(goal, fact, bindings), depth);
+      if (restProof) {
+        return { bindings: restProof.bindings, proofs: [result.proof, ...restProof.proofs] };
+      }
+    }
+    
+    return null;
+  }
+  
+  // "Penguins cannot fly" also holds for everything that is a penguin
+  tryInheritedException(kb, queryFact, depth) {
+    const { subject, predicate, object } = queryFact;
+    
+    for (const fact of kb.findFacts({ subject, predicate: "is" })) {
+      if (!fact.negated) {
+        const categoryFact = new Fact(fact.object, predicate, object, true);
+        const result = this._deduce(kb, categoryFact, depth + 1);
         
-        // Handle multiple conditions with AND
-        let conditions = [];
-        if (conditionText.includes(' and ')) {
-          const conditionParts = conditionText.split(' and ');
-          for (const part of conditionParts) {
-            const condition = this.parseFact(part);
-            if (condition) {
-              conditions.push(condition);
-            } else {
-              return null; // Failed to parse condition
-            }
-          }
-        } else {
-          const condition = this.parseFact(conditionText);
-          if (condition) {
-            conditions.push(condition);
-          } else {
-            return null; // Failed to parse condition
-          }
+        if (result.result) {
+          return {
+            result: true,
+            proof: { type: "inheritance", fact: queryFact, step: fact, source: fact, children: [result.proof] }
+          };
         }
+      }
+    }
+    
+    return { result: false };
+  }
+  
+  // Special case for transitive relations like "part of" or "is a"
+  tryTransitiveReasoning(kb, queryFact, depth) {
+    const { subject, predicate, object } = queryFact;
+    
+    // Look for intermediate concepts
+    for (const fact of kb.findFacts({ subject, predicate })) {
+      if (!fact.negated) {
+        // Found a potential intermediate: subject predicate intermediate
+        const intermediateFact = new Fact(fact.object, predicate, object);
+        const result = this._deduce(kb, intermediateFact, depth + 1);
         
-        const conclusion = this.parseFact(conclusionText);
-        if (conclusion) {
-          return new Rule(conditions, conclusion);
+        if (result.result) {
+          return {
+            result: true,
+            proof: { type: "transitive", fact: queryFact, step: fact, source: fact, children: [result.proof] }
+          };
+        }
+      }
+    }
+    
+    return { result: false };
+  }
+}
+
+// Forward Chainer
+// Saturates a knowledge base by applying universal, capability, standard,
+// transitive, symmetric and inverse rules until nothing new follows.
+// Derived facts live in their own store, apart from the asserted ones, each
+// with the proof tree that produced it. Exceptions behave as in backward
+// chaining: a known negative fact blocks the positive conclusion.
+class ForwardChainer extends ReasoningEngine {
+  constructor(encoder, relations = new RelationRegistry()) {
+    super(encoder, relations);
+    this.reset();
+  }
+  
+  reset() {
+    this.derived = new KnowledgeBase(this.encoder);
+    this.provenance = new Map(); // encoding -> proof tree
+    this.blocked = new Set(); // positive encodings defeated by exceptions
+    this.defeated = new Map(); // positive encoding -> the derivation that lost
+  }
+  
+  get facts() {
+    return this.derived.facts;
+  }
+  
+  // Proof of a derived fact, or null when it was not derived
+  proofFor(encoding) {
+    return this.provenance.get(encoding) || null;
+  }
+  
+  // Recompute every derived fact from scratch
+  materialize(kb) {
+    this.reset();
+    let blockedBefore;
+    do {
+      blockedBefore = this.blocked.size;
+      this.derived = new KnowledgeBase(this.encoder);
+      this.provenance = new Map();
+      this.defeated = new Map();
+      const agenda = kb.facts.slice();
+      for (const [derived, proof] of this.categoryFacts(kb)) {
+        this._accept(kb, derived, proof, agenda);
+      }
+      this._saturate(kb, agenda);
+    } while (this.blocked.size !== blockedBefore);
+    return this.facts.length;
+  }
+  
+  // Add the consequences of newly asserted facts. Falls back to a full
+  // recomputation when they contradict something already derived.
+  update(kb, newFacts) {
+    const contradicts = fact => this.provenance.has(this.encoder.encodeFact(fact.negate()));
+    if (newFacts.some(contradicts)) {
+      return this.materialize(kb);
+    }
+    
+    const blockedBefore = this.blocked.size;
+    this._saturate(kb, newFacts.slice());
+    if (this.blocked.size !== blockedBefore) {
+      this.materialize(kb);
+    }
+    return this.facts.length;
+  }
+  
+  _saturate(kb, agenda) {
+    while (agenda.length) {
+      const fact = agenda.pop();
+      for (const [derived, proof] of this._consequences(kb, fact)) {
+        this._accept(kb, derived, proof, agenda);
+      }
+    }
+  }
+  
+  _accept(kb, fact, proof, agenda) {
+    const encoding = this.encoder.encodeFact(fact);
+    if (kb.getFactByEncoding(encoding) || this.provenance.has(encoding)) return;
+    
+    const oppositeEncoding = this.encoder.encodeFact(fact.negate());
+    if (fact.negated) {
+      // Asserted positives beat inherited negatives
+      if (kb.getFactByEncoding(oppositeEncoding)) {
+        this.recordDefeat(oppositeEncoding, fact.negate(), { negative: proof });
+        return;
+      }
+      // The exception defeats a positive derived earlier
+      if (this.provenance.has(oppositeEncoding)) {
+        this.blocked.add(oppositeEncoding);
+      }
+    } else if (this.blocked.has(encoding) || this.isKnown(kb, fact.negate())) {
+      this.blocked.add(encoding);
+      this.recordDefeat(encoding, fact, { positive: proof });
+      return;
+    }
+    
+    this.derived.addFact(fact);
+    this.provenance.set(encoding, proof);
+    agenda.push(fact);
+  }
+  
+  recordDefeat(encoding, fact, proofs) {
+    if (!this.defeated.has(encoding)) {
+      this.defeated.set(encoding, { fact, ...proofs });
+    }
+  }
+  
+  // Every positive/negative pair that clashes, asserted or derived, with a
+  // proof of each side. Call after materialize().
+  conflicts(kb) {
+    const found = [];
+    for (const fact of kb.facts) {
+      if (fact.negated && kb.hasFact(fact.negate())) {
+        found.push({ fact: fact.negate(), positive: this.proofOf(kb, fact.negate()), negative: this.proofOf(kb, fact) });
+      }
+    }
+    for (const { fact, positive, negative } of this.defeated.values()) {
+      found.push({
+        fact,
+        positive: positive || this.proofOf(kb, fact),
+        negative: negative || this.proofOf(kb, fact.negate())
+      });
+    }
+    return found;
+  }
+  
+  isKnown(kb, fact) {
+    const encoding = this.encoder.encodeFact(fact);
+    return Boolean(kb.getFactByEncoding(encoding) || this.provenance.has(encoding));
+  }
+  
+  // Asserted and derived facts matching a pattern
+  findKnown(kb, pattern) {
+    return kb.findFacts(pattern).concat(this.derived.findFacts(pattern));
+  }
+  
+  proofOf(kb, fact) {
+    const encoding = this.encoder.encodeFact(fact);
+    return this.provenance.get(encoding) || { type: "fact", fact, source: kb.getFactByEncoding(encoding), children: [] };
+  }
+  
+  // Premises of a step node: the remaining proof, plus the step's own proof
+  // when the step was itself derived
+  stepChildren(stepProof, rest) {
+    return stepProof.type === "fact" ? [rest] : [rest, stepProof];
+  }
+  
+  // A category has what its universal and capability rules give its
+  // members ("All birds can fly" makes "bird can fly"), as _deriveFact
+  // answers for the category itself
+  categoryFacts(kb) {
+    const results = [];
+    for (const rule of kb.rules) {
+      if (rule.type !== "universal" && rule.type !== "capability") continue;
+      const { conclusion } = kb.getRuleFacts(rule);
+      const derived = new Fact(this.encoder.getConceptName(rule.categoryPrime), conclusion.predicate, conclusion.object);
+      results.push([derived, { type: rule.type, fact: derived, source: rule, children: [] }]);
+    }
+    return results;
+  }
+  
+  // Every [fact, proof] pair that one more rule application on `fact` yields
+  _consequences(kb, fact) {
+    const results = [];
+    const { subject, predicate, object } = fact;
+    const rules = kb.rulesUsing(fact);
+    const factProof = this.proofOf(kb, fact);
+    
+    if (!fact.negated && predicate === "is") {
+      // Universal and capability rules for the category
+      for (const rule of rules) {
+        if ((rule.type === "universal" || rule.type === "capability") &&
+            this.encoder.getConceptName(rule.categoryPrime) === object) {
+          const conclusion = kb.getRuleFacts(rule).conclusion;
+          const derived = new Fact(subject, conclusion.predicate, conclusion.object);
+          results.push([derived, { type: rule.type, fact: derived, source: rule, children: [factProof] }]);
+        }
+      }
+      
+      // Members inherit the exceptions of their categories
+      for (const exception of this.findKnown(kb, { subject: object })) {
+        if (exception.negated) {
+          const derived = new Fact(subject, exception.predicate, exception.object, true);
+          results.push([derived, { type: "inheritance", fact: derived, step: fact, source: fact, children: this.stepChildren(factProof, this.proofOf(kb, exception)) }]);
+        }
+      }
+    }
+    
+    if (fact.negated) {
+      for (const membership of this.findKnown(kb, { predicate: "is", object: subject })) {
+        if (!membership.negated) {
+          const derived = new Fact(membership.subject, predicate, object, true);
+          results.push([derived, { type: "inheritance", fact: derived, step: membership, source: membership, children: this.stepChildren(this.proofOf(kb, membership), factProof) }]);
+        }
+      }
+    }
+    
+    if (!fact.negated && this.relations.isTransitive(predicate)) {
+      // subject -> object -> next
+      for (const next of this.findKnown(kb, { subject: object, predicate })) {
+        if (next.negated) continue;
+        const derived = new Fact(subject, predicate, next.object);
+        results.push([derived, { type: "transitive", fact: derived, step: fact, source: fact, children: this.stepChildren(factProof, this.proofOf(kb, next)) }]);
+      }
+      // previous -> subject -> object
+      for (const previous of this.findKnown(kb, { predicate, object: subject })) {
+        if (previous.negated) continue;
+        const derived = new Fact(previous.subject, predicate, object);
+        results.push([derived, { type: "transitive", fact: derived, step: previous, source: previous, children: this.stepChildren(this.proofOf(kb, previous), factProof) }]);
+      }
+    }
+    
+    if (!fact.negated && this.relations.isSymmetric(predicate)) {
+      const derived = new Fact(object, predicate, subject);
+      results.push([derived, { type: "symmetric", fact: derived, children: [factProof] }]);
+    }
+    
+    const inverse = this.relations.getInverse(predicate);
+    if (!fact.negated && inverse) {
+      const derived = new Fact(object, inverse, subject);
+      results.push([derived, { type: "inverse", fact: derived, inverse: predicate, children: [factProof] }]);
+    }
+    
+    // Standard rules with a condition this fact satisfies
+    for (const rule of rules) {
+      if (rule.type !== "standard") continue;
+      const { conditions, conclusion } = kb.getRuleFacts(rule);
+      
+      conditions.forEach((condition, index) => {
+        const bindings = this.unify(condition, fact, {});
+        if (!bindings) return;
+        
+        const others = conditions.filter((_, other) => other !== index);
+        for (const match of this._joinConditions(kb, others, bindings)) {
+          const derived = this.substitute(conclusion, match.bindings);
+          if (!derived.isGround()) continue;
+          
+          const proofs = match.proofs.slice();
+          proofs.splice(index, 0, factProof);
+          results.push([derived, { type: "standard", fact: derived, source: rule, bindings: match.bindings, children: proofs }]);
+        }
+      });
+    }
+    
+    return results;
+  }
+  
+  // Every way to satisfy `conditions` from known facts
+  _joinConditions(kb, conditions, bindings) {
+    if (!conditions.length) return [{ bindings, proofs: [] }];
+    
+    const [first, ...rest] = conditions;
+    const goal = this.substitute(first, bindings);
+    const known = {};
+    for (const role of ["subject", "predicate", "object"]) {
+      if (!Fact.isVariable(goal[role])) known[role] = goal[role];
+    }
+    
+    const matches = [];
+    for (const candidate of this.findKnown(kb, known)) {
+      const extended = this.unify(goal, candidate, bindings);
+      if (!extended) continue;
+      for (const match of this._joinConditions(kb, rest, extended)) {
+        matches.push({ bindings: match.bindings, proofs: [this.proofOf(kb, candidate), ...match.proofs] });
+      }
+    }
+    return matches;
+  }
+}
+
+// Language Processor
+class LanguageProcessor {
+  constructor(encoder, relations = new RelationRegistry()) {
+    this.encoder = encoder;
+    this.relations = relations;
+  }
+  
+  // Concept for a noun phrase as written: lowercase, no leading article,
+  // last word singular ("The Penguins" -> "penguin"). Names stay as they are:
+  // capitalized words, except a lone word opening the sentence, where the
+  // capital says nothing. `plural` is what the verb says about the phrase
+  // (false after "is", so "Socrates is" keeps its s); verb phrases after
+  // "can" are never singularized. A form that is already a known concept
+  // wins over a guessed singular, and a singular spelled the other way
+  // joins a known "-ie"/"-y" concept. Aliases resolve to their canonical
+  // concept unless `resolve` is false.
+  normalizeTerm(phrase, { plural = null, atStart = false, verbPhrase = false, resolve = true } = {}) {
+    const term = this.lemma(phrase, { plural, atStart, verbPhrase });
+    return resolve && !Fact.isVariable(term) ? this.encoder.resolve(term) : term;
+  }
+  
+  lemma(phrase, { plural, atStart, verbPhrase }) {
+    const text = phrase.trim().replace(/^(?:a|an|the)\s+/i, '');
+    const lower = text.toLowerCase();
+    if (Fact.isVariable(text) || verbPhrase) return lower;
+    
+    const words = text.split(/\s+/);
+    const last = words[words.length - 1];
+    const isName = /^[A-Z]/.test(last) && !(atStart && words.length === 1 && text === phrase.trim());
+    if (isName || this.encoder.hasConcept(lower)) return lower;
+    
+    const stem = words.slice(0, -1).map(word => `${word.toLowerCase()} `).join('');
+    const singulars = plural === false ? [last.toLowerCase()] : singularForms(last.toLowerCase());
+    const forms = singulars.map(form => stem + form);
+    const respelled = singulars.map(otherSpelling).filter(Boolean).map(form => stem + form);
+    return [...forms, ...respelled].find(form => this.encoder.hasConcept(form)) || forms[0];
+  }
+  
+  resolveTerm(term) {
+    return Fact.isVariable(term) ? term : this.encoder.resolve(term);
+  }
+  
+  // Text without trailing punctuation, in its original case
+  surfaceOf(sentence) {
+    return sentence.replace(/[.?!,;]$/g, '').trim();
+  }
+  
+  // Confidence attached to a statement, either as a trailing "(0.9)" or
+  // "(90%)" or as a hedge such as "probably". Returns the plain statement,
+  // the confidence (null when none was given) and the surface text without
+  // the number. "Birds usually fly" becomes the rule "All birds can fly".
+  parseConfidence(sentence) {
+    let surface = this.surfaceOf(sentence);
+    let confidence = null;
+    let match;
+    
+    if ((match = surface.match(/\s*\((\d*\.?\d+)\s*(%?)\)$/))) {
+      const value = parseFloat(match[1]) / (match[2] ? 100 : 1);
+      if (value <= 1) {
+        confidence = value;
+        surface = surface.slice(0, match.index);
+      }
+    }
+    
+    let text = surface;
+    const hedges = new RegExp(`(^|\\s)(${Object.keys(HEDGE_CONFIDENCE).join("|")}),?\\s+`, "i");
+    if ((match = surface.match(hedges))) {
+      const hedge = match[2].toLowerCase();
+      if (confidence === null) confidence = HEDGE_CONFIDENCE[hedge];
+      const before = surface.slice(0, match.index).trim();
+      const after = surface.slice(match.index + match[0].length).trim();
+      
+      if (before && GENERIC_HEDGES.includes(hedge)) {
+        // The subject no longer starts the sentence, so drop its capital
+        const category = before.charAt(0).toLowerCase() + before.slice(1);
+        text = /^(are|can)\s/i.test(after) ? `All ${category} ${after}` : `All ${category} can ${after}`;
+      } else {
+        text = before ? `${before} ${after}` : after;
+      }
+    }
+    
+    return { text, confidence, surface };
+  }
+  
+  parseFact(sentence, { atStart = true } = {}) {
+    const surface = this.surfaceOf(sentence);
+    
+    // Try every registered relation, e.g. "X is Y", "X cannot Y",
+    // "X does not like Y", "X is part of Y"; longer phrases first
+    for (const { marker, predicate, negated, plural } of this.relations.statementMarkers()) {
+      const parts = splitPhrase(surface, marker);
+      if (parts) {
+        const subject = this.normalizeTerm(parts[0], { plural, atStart, resolve: false });
+        const object = this.normalizeTerm(parts[1], { verbPhrase: predicate === "can", resolve: false });
+        const fact = new Fact(this.resolveTerm(subject), predicate, this.resolveTerm(object), negated);
+        // Statements that used an alias are shown with the canonical names
+        fact.surface = fact.subject === subject && fact.object === object ? surface : null;
+        return fact;
+      }
+    }
+    
+    return null; // Parsing failed
+  }
+  
+  // Relation declarations: "located in is transitive", "married to is
+  // symmetric", "parent of is the inverse of child of", "owns is a relation"
+  parseDeclaration(sentence) {
+    const text = sentence.toLowerCase().replace(/[.?!,;]$/g, '').trim();
+    let match;
+    
+    if ((match = text.match(/^(.+?) is the inverse of (.+)$/))) {
+      return { relation: match[1].trim(), inverse: match[2].trim() };
+    }
+    
+    if ((match = text.match(/^(.+?) is (?:a )?(transitive|symmetric)(?: relation)?$/))) {
+      return { relation: match[1].trim(), property: match[2] };
+    }
+    
+    if ((match = text.match(/^(.+?) is a (?:relation|verb)$/))) {
+      return { relation: match[1].trim() };
+    }
+    
+    return null;
+  }
+  
+  // Aliases: "Automobile means car", "Bob is also called Robert",
+  // "Auto is a synonym of car"
+  parseAlias(sentence) {
+    const text = this.surfaceOf(sentence);
+    const term = phrase => this.normalizeTerm(phrase, { resolve: false });
+    let match;
+    
+    if ((match = text.match(/^(.+?) (?:means|is a synonym (?:of|for)|is an alias (?:of|for)) (.+)$/i))) {
+      return { alias: term(match[1]), canonical: term(match[2]) };
+    }
+    
+    if ((match = text.match(/^(.+?) is also (?:called|known as) (.+)$/i))) {
+      return { alias: term(match[2]), canonical: term(match[1]) };
+    }
+    
+    return null;
+  }
+  
+  // Rule variables are single capital letters (X, Y2) or "?"-prefixed words
+  // (?person), and only in If/then rules. Both are rewritten to "?name"
+  // before the text is lowercased. "A" and "I" followed by a word other
+  // than a relation stay an article or a pronoun ("If A dog barks"), and
+  // capitalized names such as "Bob" stay constants.
+  markVariables(sentence) {
+    if (!/^\s*if\s/i.test(sentence)) return sentence;
+    const markers = this.relations.statementMarkers().map(({ marker }) => marker);
+    return sentence.replace(/(^|[^\w?])([A-Z][0-9]*)(?!\w)/g, (match, before, name, offset) => {
+      const rest = sentence.slice(offset + match.length);
+      const word = (name === "A" || name === "I") && /^\s+[a-z]/.test(rest);
+      if (word && !markers.some(marker => rest.toLowerCase().startsWith(marker))) return match;
+      return `${before}?${name}`;
+    });
+  }
+  
+  parseRule(sentence) {
+    const surface = this.surfaceOf(sentence);
+    const text = this.surfaceOf(this.markVariables(sentence));
+    let match;
+    
+    // Handle "All X are Y" rules
+    if ((match = text.match(/^all (.+?) are (.+)$/i))) {
+      const category = this.normalizeTerm(match[1], { plural: true, resolve: false });
+      const property = this.normalizeTerm(match[2], { resolve: false });
+      const rule = Rule.createUniversalRule(this.resolveTerm(category), this.resolveTerm(property));
+      return this.withSurface(rule, rule.category === category && rule.property === property ? surface : null);
+    }
+    
+    // Handle "All X can Y" rules
+    if ((match = text.match(/^all (.+?) can (.+)$/i))) {
+      const category = this.normalizeTerm(match[1], { plural: true, resolve: false });
+      const capability = this.normalizeTerm(match[2], { verbPhrase: true });
+      const rule = Rule.createCapabilityRule(this.resolveTerm(category), capability);
+      return this.withSurface(rule, rule.category === category ? surface : null);
+    }
+    
+    // Handle explicit IF-THEN rules, with or without a comma before "then"
+    if ((match = text.match(/^if (.+?),? then (.+)$/i))) {
+      // Handle multiple conditions with AND
+      const conditions = [];
+      for (const part of match[1].split(/ and /i)) {
+        const condition = this.parseFact(part, { atStart: false });
+        if (!condition) return null; // Failed to parse condition
+        conditions.push(condition);
+      }
+      
+      const conclusion = this.parseFact(match[2], { atStart: false });
+      if (conclusion) {
+        const unaliased = [...conditions, conclusion].every(fact => fact.surface);
+        return this.withSurface(new Rule(conditions, conclusion), unaliased ? surface : null);
+      }
+    }
+    
+    return null; // Parsing failed
+  }
+  
+  withSurface(statement, surface) {
+    statement.surface = surface;
+    return statement;
+  }
+  
+  parseQuery(question) {
+    const text = this.surfaceOf(question);
+    let match;
+    
+    // Handle open "What/Who ...?" questions
+    if ((match = text.match(/^(what|who)\s+(.+)$/i))) {
+      return this.parseOpenQuery(`?${match[1].toLowerCase()}`, match[2]);
+    }
+    
+    // Handle "Is X Y?" and "Are X Y?" questions
+    if ((match = text.match(/^(is|are)\s+(.+)$/i))) {
+      const plural = match[1].toLowerCase() === "are";
+      const restOfQuery = match[2].trim();
+      
+      // Handle "Is X part of Y?" and other "is <relation>" formats
+      for (const relation of this.relations.prepositionalRelations()) {
+        const parts = splitPhrase(restOfQuery, ` ${relation} `);
+        if (parts) {
+          return new Fact(this.normalizeTerm(parts[0], { plural }), relation, this.normalizeTerm(parts[1]));
+        }
+      }
+      
+      // Handle "Is X a Y?" and "Is X an Y?" formats
+      const parts = splitPhrase(restOfQuery, " a ") || splitPhrase(restOfQuery, " an ");
+      if (parts) {
+        return new Fact(this.normalizeTerm(parts[0], { plural }), "is", this.normalizeTerm(parts[1]));
+      }
+      
+      // General "Is X Y?" format; the subject is one word after any article
+      const general = restOfQuery.match(/^((?:(?:a|an|the)\s+)?\S+)\s+(.+)$/i);
+      if (general) {
+        return new Fact(this.normalizeTerm(general[1], { plural }), "is", this.normalizeTerm(general[2]));
+      }
+    }
+    
+    // Handle "Can X Y?" questions
+    if ((match = text.match(/^can\s+((?:(?:a|an|the)\s+)?\S+)\s+(.+)$/i))) {
+      return new Fact(this.normalizeTerm(match[1]), "can", this.normalizeTerm(match[2], { verbPhrase: true }));
+    }
+    
+    // Handle "Does X have/like/<verb> Y?" and "Do X <verb> Y?" questions
+    if ((match = text.match(/^(does|do)\s+(.+)$/i))) {
+      const plural = match[1].toLowerCase() === "do";
+      for (const relation of this.relations.verbRelations()) {
+        const parts = splitPhrase(match[2], ` ${baseVerbForm(relation)} `);
+        if (parts) {
+          return new Fact(this.normalizeTerm(parts[0], { plural }), relation, this.normalizeTerm(parts[1]));
+        }
+      }
+    }
+    
+    return null; // Parsing failed
+  }
+  
+  // Compound yes/no questions: "Is Socrates human and mortal?", "Can
+  // penguins fly or swim?", "Is Socrates not a bird?". "and" binds tighter
+  // than "or". A part without its own verb reuses the subject and relation
+  // of the part before it. Returns null for plain and open questions.
+  parseCompoundQuery(question) {
+    const text = this.surfaceOf(question);
+    if (/^(what|who)\s/i.test(text) || !/\s(and|or|not)\s/i.test(text)) return null;
+    
+    let previous = null;
+    const parsePart = part => {
+      let clause = part.trim();
+      let negated = false;
+      let match;
+      
+      if ((match = clause.match(/^not\s+(.+)$/i))) {
+        negated = true;
+        clause = match[1];
+      }
+      
+      let fact = null;
+      if (/^(is|are|can|does|do)\s/i.test(clause)) {
+        // "Is Socrates not mortal?" is the negation of "Is Socrates mortal?"
+        if ((match = clause.match(/^(is|are|can|does|do)\s+(.+?)\s+not\s+(.+)$/i))) {
+          negated = !negated;
+          clause = `${match[1]} ${match[2]} ${match[3]}`;
+        }
+        fact = this.parseQuery(clause);
+      } else if (previous) {
+        const object = this.normalizeTerm(clause, { verbPhrase: previous.predicate === "can" });
+        fact = new Fact(previous.subject, previous.predicate, object);
+      }
+      
+      if (!fact || !fact.isGround()) return null;
+      previous = fact;
+      const leaf = { type: "fact", fact };
+      return negated ? { type: "not", operand: leaf } : leaf;
+    };
+    
+    const group = (parts, type) => (parts.length === 1 ? parts[0] : { type, operands: parts });
+    const disjuncts = [];
+    for (const disjunct of text.split(/\s+or\s+/i)) {
+      const conjuncts = disjunct.split(/\s+and\s+/i).map(parsePart);
+      if (conjuncts.includes(null)) return null;
+      disjuncts.push(group(conjuncts, "and"));
+    }
+    
+    const expression = group(disjuncts, "or");
+    return expression.type === "fact" ? null : expression;
+  }
+  
+  // Parse the rest of a wh-question; the unknown slot becomes `variable`
+  parseOpenQuery(variable, rest) {
+    const lower = rest.toLowerCase();
+    let match;
+    
+    for (const relation of this.relations.prepositionalRelations()) {
+      // "What is part of the car?"
+      if ((match = rest.match(/^(?:is|are) /i)) && lower.startsWith(`${match[0].toLowerCase()}${relation} `)) {
+        return new Fact(variable, relation, this.normalizeTerm(rest.substring(match[0].length + relation.length + 1)));
+      }
+      
+      // "What is the engine part of?"
+      if ((match = rest.match(/^(is|are) /i)) && lower.endsWith(` ${relation}`)) {
+        const subject = rest.slice(match[0].length, -relation.length - 1);
+        return new Fact(this.normalizeTerm(subject, { plural: match[1].toLowerCase() === "are" }), relation, variable);
+      }
+    }
+    
+    // "What is Socrates?" / "What are penguins?"
+    if ((match = rest.match(/^(is|are) (.+)$/i))) {
+      return new Fact(this.normalizeTerm(match[2], { plural: match[1].toLowerCase() === "are" }), "is", variable);
+    }
+    
+    // "What can birds do?"
+    if ((match = rest.match(/^can (.+) do$/i))) {
+      return new Fact(this.normalizeTerm(match[1]), "can", variable);
+    }
+    
+    // "Who can fly?"
+    if ((match = rest.match(/^can (.+)$/i))) {
+      return new Fact(variable, "can", this.normalizeTerm(match[1], { verbPhrase: true }));
+    }
+    
+    for (const relation of this.relations.verbRelations()) {
+      // "What does Bob teach?" / "What do penguins eat?"
+      const base = baseVerbForm(relation);
+      if ((match = rest.match(/^(does|do) (.+)$/i)) && lower.endsWith(` ${base}`)) {
+        const subject = match[2].slice(0, -base.length - 1);
+        return new Fact(this.normalizeTerm(subject, { plural: match[1].toLowerCase() === "do" }), relation, variable);
+      }
+      
+      // "Who teaches mathematics?"
+      if (lower.startsWith(`${relation} `)) {
+        return new Fact(variable, relation, this.normalizeTerm(rest.substring(relation.length + 1)));
+      }
+    }
+    
+    return null; // Parsing failed
+  }
+}
+
+// RDF
+// Knowledge as RDF triples, read from N-Triples or Turtle and written as
+// either. Concepts and relations are IRIs in one namespace: "is" facts map
+// to rdf:type, universal rules to rdfs:subClassOf, capability rules to
+// ellm:capability and aliases to owl:sameAs. What a plain triple cannot say
+// (a negative fact, a confidence below 1) sits on a reified statement.
+const RDF_NAMESPACE = "http://example.org/ellm/";
+const RDF_PREFIXES = {
+  rdf: "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
+  rdfs: "http://www.w3.org/2000/01/rdf-schema#",
+  owl: "http://www.w3.org/2002/07/owl#",
+  xsd: "http://www.w3.org/2001/XMLSchema#",
+  ellm: "http://example.org/ellm/vocabulary#",
+  ex: RDF_NAMESPACE
+};
+
+// "rdfs:label" -> full IRI, for the fixed vocabularies above
+function rdfIri(name) {
+  const [prefix, local] = name.split(":");
+  return RDF_PREFIXES[prefix] + local;
+}
+
+// Annotations and declarations that carry nothing to learn
+const RDF_IGNORED_PREDICATES = ["rdfs:label", "rdfs:comment", "rdfs:seeAlso", "rdfs:isDefinedBy"].map(rdfIri);
+const RDF_IGNORED_TYPES = ["rdfs:Class", "owl:Class", "owl:Thing", "owl:Ontology", "owl:NamedIndividual", "rdf:Statement"].map(rdfIri);
+
+// Turtle tokens, tried in this order at each position
+const TURTLE_TOKENS = [
+  ["space", /\s+|#[^\n]*/y],
+  ["iri", /<([^<>"{}|^`\\\s]*)>/y],
+  ["string", /"""([\s\S]*?)"""|'''([\s\S]*?)'''|"((?:[^"\\\n]|\\.)*)"|'((?:[^'\\\n]|\\.)*)'/y],
+  ["directive", /@(prefix|base)\b/y],
+  ["language", /@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/y],
+  ["blank", /_:([\w-]+(?:\.[\w-]+)*)/y],
+  ["pname", /([A-Za-z][\w-]*(?:\.[\w-]+)*)?:((?:[\w:%-]|\\[^\s]|\.(?=[\w:%\\-]))*)/y],
+  ["number", /[+-]?(?:\d+(?:\.\d+)?|\.\d+)(?:[eE][+-]?\d+)?/y],
+  ["word", /[A-Za-z]+/y],
+  ["punctuation", /\^\^|[.;,[\]()]/y]
+];
+
+const TURTLE_ESCAPES = { t: "\t", n: "\n", r: "\r", b: "\b", f: "\f" };
+
+function unescapeTurtle(text) {
+  return text.replace(/\\(?:u([0-9A-Fa-f]{4})|U([0-9A-Fa-f]{8})|(.))/g, (match, short, long, char) => {
+    if (short || long) return String.fromCodePoint(parseInt(short || long, 16));
+    return TURTLE_ESCAPES[char] || char;
+  });
+}
+
+function tokenizeTurtle(text) {
+  const tokens = [];
+  let position = 0;
+  let line = 1;
+  while (position < text.length) {
+    const found = TURTLE_TOKENS.find(([, pattern]) => {
+      pattern.lastIndex = position;
+      return pattern.test(text);
+    });
+    if (!found) {
+      throw new Error(`RDF line ${line}: unexpected "${text.slice(position, position + 20).split("\n")[0]}"`);
+    }
+    
+    const [type, pattern] = found;
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    if (type !== "space") {
+      const groups = match.slice(1).filter(group => group !== undefined);
+      tokens.push({ type, text: match[0], value: groups.length ? groups[0] : match[0], groups: match.slice(1), line });
+    }
+    line += match[0].split("\n").length - 1;
+    position += match[0].length;
+  }
+  return tokens;
+}
+
+// Recursive descent over the Turtle grammar, less collections. N-Triples is
+// a subset, so it reads both. Terms are { type: "iri" | "blank" | "literal",
+// value } with a `datatype` or `language` on literals.
+class TurtleParser {
+  constructor(text, prefixes = {}) {
+    this.tokens = tokenizeTurtle(text);
+    this.position = 0;
+    this.prefixes = { ...prefixes }; // Declarations in the text take precedence
+    this.base = "";
+    this.anonymous = 0;
+    this.triples = [];
+  }
+  
+  parse() {
+    while (this.peek()) this.statement();
+    return this.triples;
+  }
+  
+  peek() {
+    return this.tokens[this.position] || null;
+  }
+  
+  next() {
+    const token = this.peek();
+    if (!token) this.fail("unexpected end of input");
+    this.position++;
+    return token;
+  }
+  
+  is(text) {
+    const token = this.peek();
+    return Boolean(token) && token.type === "punctuation" && token.text === text;
+  }
+  
+  expect(text) {
+    const token = this.next();
+    if (token.type !== "punctuation" || token.text !== text) this.fail(`expected "${text}"`, token);
+  }
+  
+  fail(message, token = this.peek()) {
+    const line = token ? token.line : (this.tokens[this.tokens.length - 1] || { line: 1 }).line;
+    throw new Error(`RDF line ${line}: ${message}${token ? ` at "${token.text}"` : ""}`);
+  }
+  
+  statement() {
+    const token = this.peek();
+    const keyword = token.type === "directive" ? token.value
+      : token.type === "word" && /^(prefix|base)$/i.test(token.value) ? token.value.toLowerCase()
+        : null;
+    if (keyword) {
+      this.position++;
+      if (keyword === "prefix") {
+        const name = this.next();
+        if (name.type !== "pname" || name.groups[1]) this.fail('expected a prefix name such as "ex:"', name);
+        this.prefixes[name.groups[0] || ""] = this.iri(this.next()).value;
+      } else {
+        this.base = this.iri(this.next()).value;
+      }
+      // SPARQL-style PREFIX and BASE have no closing dot
+      if (token.type === "directive") this.expect(".");
+      return;
+    }
+    
+    if (this.is("[")) {
+      const subject = this.blankNodePropertyList();
+      if (!this.is(".")) this.predicateObjectList(subject);
+    } else {
+      this.predicateObjectList(this.subject());
+    }
+    this.expect(".");
+  }
+  
+  subject() {
+    const token = this.next();
+    if (token.type === "iri" || token.type === "pname") return this.iri(token);
+    if (token.type === "blank") return { type: "blank", value: token.value };
+    if (token.text === "(") this.fail("collections are not supported", token);
+    return this.fail("expected a subject", token);
+  }
+  
+  predicateObjectList(subject) {
+    this.objectList(subject, this.verb());
+    while (this.is(";")) {
+      while (this.is(";")) this.position++;
+      if (!this.peek() || this.is(".") || this.is("]")) return;
+      this.objectList(subject, this.verb());
+    }
+  }
+  
+  verb() {
+    const token = this.next();
+    if (token.type === "word" && token.value === "a") return { type: "iri", value: rdfIri("rdf:type") };
+    if (token.type === "iri" || token.type === "pname") return this.iri(token);
+    return this.fail("expected a predicate", token);
+  }
+  
+  objectList(subject, predicate) {
+    this.triples.push({ subject, predicate, object: this.object() });
+    while (this.is(",")) {
+      this.position++;
+      this.triples.push({ subject, predicate, object: this.object() });
+    }
+  }
+  
+  object() {
+    if (this.is("[")) return this.blankNodePropertyList();
+    const token = this.next();
+    switch (token.type) {
+      case "iri":
+      case "pname":
+        return this.iri(token);
+      case "blank":
+        return { type: "blank", value: token.value };
+      case "string":
+        return this.literal(unescapeTurtle(token.value));
+      case "number": {
+        const kind = /[eE]/.test(token.text) ? "double" : token.text.includes(".") ? "decimal" : "integer";
+        return { type: "literal", value: token.text, datatype: rdfIri(`xsd:${kind}`) };
+      }
+      case "word":
+        if (token.value === "true" || token.value === "false") {
+          return { type: "literal", value: token.value, datatype: rdfIri("xsd:boolean") };
+        }
+        break;
+      case "punctuation":
+        if (token.text === "(") this.fail("collections are not supported", token);
+        break;
+    }
+    return this.fail("expected an object", token);
+  }
+  
+  // A string with its optional language tag or datatype
+  literal(value) {
+    const token = this.peek();
+    if (token && token.type === "language") {
+      this.position++;
+      return { type: "literal", value, language: token.value.toLowerCase() };
+    }
+    if (this.is("^^")) {
+      this.position++;
+      return { type: "literal", value, datatype: this.iri(this.next()).value };
+    }
+    return { type: "literal", value, datatype: rdfIri("xsd:string") };
+  }
+  
+  blankNodePropertyList() {
+    this.expect("[");
+    const node = { type: "blank", value: `[${++this.anonymous}]` }; // Brackets never appear in labels
+    if (!this.is("]")) this.predicateObjectList(node);
+    this.expect("]");
+    return node;
+  }
+  
+  iri(token) {
+    if (token.type === "iri") {
+      const value = unescapeTurtle(token.value);
+      // Relative IRIs resolve against @base
+      if (!this.base || /^[a-z][\w+.-]*:/i.test(value)) return { type: "iri", value };
+      try {
+        return { type: "iri", value: new URL(value, this.base).href };
+      } catch (err) {
+        return { type: "iri", value: this.base + value };
+      }
+    }
+    if (token.type === "pname") {
+      const [prefix = "", local] = token.groups;
+      if (this.prefixes[prefix] === undefined) this.fail(`unknown prefix "${prefix}:"`, token);
+      return { type: "iri", value: this.prefixes[prefix] + local.replace(/\\(.)/g, "$1") };
+    }
+    return this.fail("expected an IRI", token);
+  }
+}
+
+// Maps between RDF and ELLM statements. `prefixes` adds to or overrides
+// RDF_PREFIXES, both for reading and for writing; `namespace` is where
+// exported concepts and relations live.
+class RdfTranslator {
+  constructor({ prefixes = {}, namespace = RDF_NAMESPACE } = {}) {
+    this.prefixes = { ...RDF_PREFIXES, ...prefixes };
+    this.namespace = namespace;
+  }
+  
+  // What a Turtle or N-Triples text says, as { facts, rules, relations,
+  // aliases, skipped }. `skipped` counts the triples with no ELLM
+  // counterpart, such as domains, ranges and triples about blank nodes.
+  // Throws on a syntax error.
+  read(text) {
+    const triples = new TurtleParser(text, this.prefixes).parse();
+    const labels = new Map();
+    const reified = new Map(); // node -> { subject, predicate, object, negated, confidence }
+    const nodeKey = term => `${term.type} ${term.value}`;
+    const REIFICATION = {
+      [rdfIri("rdf:subject")]: "subject",
+      [rdfIri("rdf:predicate")]: "predicate",
+      [rdfIri("rdf:object")]: "object",
+      [rdfIri("ellm:negated")]: "negated",
+      [rdfIri("ellm:confidence")]: "confidence"
+    };
+    
+    const plain = [];
+    triples.forEach((triple, index) => {
+      const role = REIFICATION[triple.predicate.value];
+      if (role) {
+        const key = nodeKey(triple.subject);
+        if (!reified.has(key)) reified.set(key, { index });
+        reified.get(key)[role] = triple.object;
+        return;
+      }
+      if (triple.predicate.value === rdfIri("rdfs:label") && triple.object.type === "literal" &&
+          !labels.has(triple.subject.value)) {
+        labels.set(triple.subject.value, triple.object.value);
+      }
+      plain.push({ ...triple, index });
+    });
+    // The reified statements' own rdf:type rdf:Statement
+    const statementNodes = new Set(reified.keys());
+    const asserted = plain.filter(triple =>
+      !(statementNodes.has(nodeKey(triple.subject)) && triple.predicate.value === rdfIri("rdf:type")));
+    
+    const name = term => {
+      if (term.type === "literal") return term.value.trim().toLowerCase();
+      if (term.type !== "iri") return null;
+      return (labels.get(term.value) || this.localName(term.value)).trim().toLowerCase();
+    };
+    
+    const result = { facts: [], rules: [], relations: [], aliases: [], skipped: 0 };
+    const stored = new Map(); // triple key -> fact or rule, for annotations
+    const position = new Map(); // fact -> index of its first triple
+    for (const triple of asserted) {
+      const statement = this.statementFor(triple, name);
+      if (statement === null) {
+        result.skipped++;
+      } else if (statement.fact || statement.rule) {
+        const key = [triple.subject, triple.predicate, triple.object].map(nodeKey).join("|");
+        const item = statement.fact || statement.rule;
+        if (!stored.has(key)) {
+          stored.set(key, item);
+          position.set(item, triple.index);
+          (statement.fact ? result.facts : result.rules).push(item);
+        }
+      } else if (statement.relation) {
+        result.relations.push(statement.relation);
+      } else if (statement.alias) {
+        result.aliases.push(statement.alias);
+      }
+    }
+    
+    // Reified statements: a negative fact, or the confidence of a triple above
+    for (const { index, subject, predicate, object, negated, confidence } of reified.values()) {
+      if (!subject || !predicate || !object) {
+        result.skipped++;
+        continue;
+      }
+      const weight = confidence && Number(confidence.value);
+      const triple = { subject, predicate, object };
+      if (negated && negated.value === "true") {
+        const statement = this.statementFor(triple, name);
+        if (!statement || !statement.fact) {
+          result.skipped++;
+          continue;
+        }
+        statement.fact.negated = true;
+        if (weight >= 0 && weight <= 1) statement.fact.confidence = weight;
+        position.set(statement.fact, index);
+        result.facts.push(statement.fact);
+        continue;
+      }
+      const item = stored.get([subject, predicate, object].map(nodeKey).join("|"));
+      if (item && weight >= 0 && weight <= 1) {
+        item.confidence = weight;
+      } else {
+        result.skipped++;
+      }
+    }
+    // Negative facts keep their place among the others
+    result.facts.sort((a, b) => position.get(a) - position.get(b));
+    return result;
+  }
+  
+  // One triple as { fact }, { rule }, { relation }, { alias }, {} when there
+  // is nothing to learn, or null when it has no ELLM counterpart
+  statementFor({ subject, predicate, object }, name) {
+    const from = name(subject);
+    const to = name(object);
+    if (!from || !to || subject.type !== "iri") return null;
+    
+    switch (predicate.value) {
+      case rdfIri("rdf:type"):
+        if (object.value === rdfIri("owl:TransitiveProperty")) return { relation: { relation: from, property: "transitive" } };
+        if (object.value === rdfIri("owl:SymmetricProperty")) return { relation: { relation: from, property: "symmetric" } };
+        if ([rdfIri("rdf:Property"), rdfIri("owl:ObjectProperty")].includes(object.value)) return { relation: { relation: from } };
+        if (RDF_IGNORED_TYPES.includes(object.value)) return {};
+        return { fact: new Fact(from, "is", to) };
+      case rdfIri("rdfs:subClassOf"):
+        return object.type === "iri" ? { rule: Rule.createUniversalRule(from, to) } : null;
+      case rdfIri("ellm:capability"):
+        return { rule: Rule.createCapabilityRule(from, to) };
+      case rdfIri("owl:inverseOf"):
+        return { relation: { relation: from, inverse: to } };
+      case rdfIri("owl:sameAs"):
+        return from === to ? {} : { alias: { alias: from, canonical: to } };
+    }
+    if (RDF_IGNORED_PREDICATES.includes(predicate.value)) return {};
+    // Other terms from the standard vocabularies (domains, ranges, ...)
+    if (["rdf", "rdfs", "owl", "xsd"].some(prefix => predicate.value.startsWith(RDF_PREFIXES[prefix]))) return null;
+    return { fact: new Fact(from, name(predicate), to) };
+  }
+  
+  // "http://example.org/ellm/part_of" -> "part of", "ex:locatedIn" -> "located in"
+  localName(iri) {
+    let local = iri.slice(Math.max(iri.lastIndexOf("#"), iri.lastIndexOf("/"), iri.lastIndexOf(":")) + 1);
+    try {
+      local = decodeURIComponent(local);
+    } catch (err) {
+      // Not percent-encoded after all
+    }
+    return local.replace(/_/g, " ").replace(/([a-z0-9])([A-Z])/g, "$1 $2");
+  }
+  
+  conceptIri(name) {
+    return { type: "iri", value: this.namespace + encodeURIComponent(name.trim().replace(/\s+/g, "_")) };
+  }
+  
+  // The knowledge of an ELLM as Turtle or, with format "ntriples", as
+  // N-Triples. Rules with conditions have no RDF form; they are listed in
+  // comments.
+  write(ellm, format = "turtle") {
+    const triples = [];
+    const comments = [];
+    const iri = name => ({ type: "iri", value: rdfIri(name) });
+    const concept = name => this.conceptIri(name);
+    let blanks = 0;
+    
+    const seen = new Set();
+    for (const relation of ellm.relations.toJSON()) {
+      seen.add(relation.name);
+      if (relation.name === "is") continue;
+      const builtin = BUILTIN_RELATIONS.find(known => known.name === relation.name);
+      const subject = concept(relation.name);
+      if (relation.transitive && !(builtin && builtin.transitive)) {
+        triples.push({ subject, predicate: iri("rdf:type"), object: iri("owl:TransitiveProperty") });
+      }
+      if (relation.symmetric) triples.push({ subject, predicate: iri("rdf:type"), object: iri("owl:SymmetricProperty") });
+      // Each inverse pair once, from its second relation, so that reading it
+      // back defines the two in the same order
+      if (relation.inverse && seen.has(relation.inverse)) {
+        triples.push({ subject, predicate: iri("owl:inverseOf"), object: concept(relation.inverse) });
+      }
+      if (!builtin && !relation.transitive && !relation.symmetric && !relation.inverse) {
+        triples.push({ subject, predicate: iri("rdf:type"), object: iri("rdf:Property") });
+      }
+    }
+    
+    for (const [alias, canonical] of ellm.encoder.aliases) {
+      triples.push({ subject: concept(alias), predicate: iri("owl:sameAs"), object: concept(canonical) });
+    }
+    
+    // A triple, or a reified statement for what the triple alone cannot say
+    const add = (triple, { negated = false, confidence = 1 } = {}) => {
+      if (!negated) triples.push(triple);
+      if (!negated && confidence >= 1) return;
+      const node = { type: "blank", value: `s${++blanks}` };
+      triples.push({ subject: node, predicate: iri("rdf:subject"), object: triple.subject });
+      triples.push({ subject: node, predicate: iri("rdf:predicate"), object: triple.predicate });
+      triples.push({ subject: node, predicate: iri("rdf:object"), object: triple.object });
+      if (negated) {
+        triples.push({ subject: node, predicate: iri("ellm:negated"), object: { type: "literal", value: "true", datatype: rdfIri("xsd:boolean") } });
+      }
+      if (confidence < 1) {
+        triples.push({ subject: node, predicate: iri("ellm:confidence"), object: { type: "literal", value: String(confidence), datatype: rdfIri("xsd:decimal") } });
+      }
+    };
+    
+    for (const fact of ellm.kb.facts) {
+      const predicate = fact.predicate === "is" ? iri("rdf:type") : concept(fact.predicate);
+      add({ subject: concept(fact.subject), predicate, object: concept(fact.object) }, fact);
+    }
+    
+    for (const rule of ellm.kb.rules) {
+      if (rule.type === "standard") {
+        comments.push(`Not expressible in RDF: ${rule.surface || ellm.describeRule(rule)}`);
+        continue;
+      }
+      const predicate = rule.type === "universal" ? iri("rdfs:subClassOf") : iri("ellm:capability");
+      const subject = concept(ellm.encoder.getConceptName(rule.categoryPrime));
+      add({ subject, predicate, object: concept(ellm.encoder.getConceptName(rule.propertyPrime)) }, rule);
+    }
+    
+    const lines = format === "ntriples" ? this.writeNTriples(triples) : this.writeTurtle(triples);
+    return [...comments.map(comment => `# ${comment}`), ...lines].join("\n") + "\n";
+  }
+  
+  writeNTriples(triples) {
+    const term = node => {
+      if (node.type === "iri") return `<${node.value}>`;
+      if (node.type === "blank") return `_:${node.value}`;
+      return this.writeString(node) + (node.language ? `@${node.language}` : `^^<${node.datatype}>`);
+    };
+    return triples.map(({ subject, predicate, object }) => `${term(subject)} ${term(predicate)} ${term(object)} .`);
+  }
+  
+  // Triples grouped by subject, with the prefixes they use
+  writeTurtle(triples) {
+    const used = new Set();
+    const namespaces = Object.entries(this.prefixes).sort(([, a], [, b]) => b.length - a.length);
+    const term = (node, asPredicate = false) => {
+      if (node.type === "blank") return "[]";
+      if (node.type === "literal") {
+        if (node.datatype === rdfIri("xsd:boolean") || (node.datatype === rdfIri("xsd:decimal") && /^[+-]?\d*\.\d+$/.test(node.value)) ||
+            (node.datatype === rdfIri("xsd:integer") && /^[+-]?\d+$/.test(node.value))) {
+          return node.value;
+        }
+        if (node.language) return `${this.writeString(node)}@${node.language}`;
+        return node.datatype === rdfIri("xsd:string") ? this.writeString(node) : `${this.writeString(node)}^^${term({ type: "iri", value: node.datatype })}`;
+      }
+      if (asPredicate && node.value === rdfIri("rdf:type")) return "a";
+      for (const [prefix, namespace] of namespaces) {
+        const local = node.value.slice(namespace.length);
+        if (node.value.startsWith(namespace) && /^(?:\w|%[0-9A-Fa-f]{2})(?:[\w-]|%[0-9A-Fa-f]{2})*$/.test(local)) {
+          used.add(prefix);
+          return `${prefix}:${local}`;
+        }
+      }
+      return `<${node.value}>`;
+    };
+    
+    // Consecutive triples about one subject share a statement, so the
+    // order of the knowledge base is kept
+    const groups = [];
+    for (const triple of triples) {
+      const last = groups[groups.length - 1];
+      if (!last || last.subject !== triple.subject && !(last.subject.type === "iri" && last.subject.value === triple.subject.value)) {
+        groups.push({ subject: triple.subject, predicates: new Map() });
+      }
+      const { predicates } = groups[groups.length - 1];
+      const predicate = term(triple.predicate, true);
+      if (!predicates.has(predicate)) predicates.set(predicate, []);
+      predicates.get(predicate).push(term(triple.object));
+    }
+    
+    const body = groups.map(({ subject, predicates }) => {
+      const parts = Array.from(predicates, ([predicate, objects]) => `${predicate} ${objects.join(", ")}`);
+      return `${term(subject)} ${parts.join(" ;\n    ")} .`;
+    });
+    const header = Object.keys(this.prefixes)
+      .filter(prefix => used.has(prefix))
+      .map(prefix => `@prefix ${prefix}: <${this.prefixes[prefix]}> .`);
+    return header.length && body.length ? [...header, "", ...body] : [...header, ...body];
+  }
+  
+  writeString(node) {
+    const escaped = node.value.replace(/[\\"\n\r\t]/g, char => ({ "\\": "\\\\", '"': '\\"', "\n": "\\n", "\r": "\\r", "\t": "\\t" })[char]);
+    return `"${escaped}"`;
+  }
+}
+
+// Prolog
+// Knowledge as a Prolog program: the facts, rules and relation properties
+// as plain data, followed by PROLOG_PROGRAM, clauses that reason over that
+// data the way ReasoningEngine does. Needs tabling (SWI-Prolog, XSB) for
+// cyclic relations; apart from the directives and negation it is Datalog.
+// Ask it with answer/4, e.g. "?- answer(socrates, is, mortal, A).".
+const PROLOG_DATA = [
+  "fact/3", "neg_fact/3", "derive/3", "derive_not/3", "universal/2", "capability/2",
+  "transitive/1", "symmetric/1", "inverse/2", "relation/1", "alias/2", "confidence/2"
+];
+const PROLOG_TABLED = ["holds/3", "holds_not/3", "inferred/3", "inferred_not/3"];
+
+const PROLOG_PROGRAM = [
+  "% A stored fact holds; a derived one holds unless its negation does",
+  "holds(S, P, O) :- fact(S, P, O).",
+  "holds(S, P, O) :- inferred(S, P, O), tnot(holds_not(S, P, O)).",
+  "holds_not(S, P, O) :- neg_fact(S, P, O).",
+  "holds_not(S, P, O) :- inferred_not(S, P, O), \\+ fact(S, P, O).",
+  "",
+  "% Standard rules, universal and capability rules (which also hold for the",
+  "% category itself), then transitive, symmetric and inverse relations",
+  "inferred(S, P, O) :- derive(S, P, O).",
+  "inferred(C, is, P) :- universal(C, P).",
+  "inferred(S, is, P) :- universal(C, P), holds(S, is, C).",
+  "inferred(C, can, X) :- capability(C, X).",
+  "inferred(S, can, X) :- capability(C, X), holds(S, is, C).",
+  "inferred(S, P, O) :- transitive(P), fact(S, P, M), holds(M, P, O).",
+  "inferred(S, P, O) :- symmetric(P), holds(O, P, S).",
+  "inferred(S, P, O) :- inverse_of(P, I), holds(O, I, S).",
+  "",
+  "% Negative facts from rules, and those members inherit from their categories",
+  "inferred_not(S, P, O) :- derive_not(S, P, O).",
+  "inferred_not(S, P, O) :- fact(S, is, C), holds_not(C, P, O).",
+  "",
+  "inverse_of(P, I) :- inverse(P, I).",
+  "inverse_of(P, I) :- inverse(I, P).",
+  "",
+  "% Yes, no or unknown, as ELLM answers a yes/no question",
+  "answer(S0, P0, O0, Answer) :- canonical(S0, S), canonical(P0, P), canonical(O0, O), verdict(S, P, O, Answer).",
+  "verdict(S, P, O, yes) :- holds(S, P, O).",
+  "verdict(S, P, O, no) :- \\+ holds(S, P, O), holds_not(S, P, O).",
+  "verdict(S, P, O, unknown) :- \\+ holds(S, P, O), \\+ holds_not(S, P, O).",
+  "canonical(Name, Concept) :- alias(Name, Concept).",
+  "canonical(Name, Name) :- \\+ alias(Name, _)."
+];
+
+// Predicates PROLOG_PROGRAM defines; clauses for them are not knowledge
+const PROLOG_RESERVED = ["holds", "holds_not", "inferred", "inferred_not", "inverse_of", "answer", "verdict", "canonical"];
+
+// Predicates whose three arguments are one triple, and whether it is negated
+const PROLOG_TRIPLES = { fact: false, derive: false, holds: false, neg_fact: true, derive_not: true, holds_not: true };
+
+// Standard operators, enough to read common programs
+const PROLOG_INFIX = {
+  ":-": [1200, "xfx"], "-->": [1200, "xfx"], ";": [1100, "xfy"], "|": [1100, "xfy"], "->": [1050, "xfy"],
+  ",": [1000, "xfy"], "=": [700, "xfx"], "\\=": [700, "xfx"], "==": [700, "xfx"], "\\==": [700, "xfx"],
+  "is": [700, "xfx"], "<": [700, "xfx"], ">": [700, "xfx"], "=<": [700, "xfx"], ">=": [700, "xfx"],
+  "=:=": [700, "xfx"], "=\\=": [700, "xfx"], "+": [500, "yfx"], "-": [500, "yfx"], "*": [400, "yfx"],
+  "/": [400, "yfx"], "mod": [400, "yfx"]
+};
+const PROLOG_PREFIX = {
+  ":-": [1200, "fx"], "?-": [1200, "fx"], "dynamic": [1150, "fx"], "discontiguous": [1150, "fx"],
+  "table": [1150, "fx"], "\\+": [900, "fy"], "-": [200, "fy"]
+};
+
+// Prolog tokens, tried in this order at each position
+const PROLOG_TOKENS = [
+  ["space", /\s+|%[^\n]*|\/\*[\s\S]*?\*\//y],
+  ["number", /\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+  ["variable", /[A-Z_]\w*/y],
+  ["name", /[a-z]\w*/y],
+  ["quoted", /'((?:[^'\\]|\\.|'')*)'/y],
+  ["string", /"((?:[^"\\]|\\.|"")*)"/y],
+  ["end", /\.(?=\s|%|$)/y],
+  ["name", /[+\-*/\\^<>=~:.?@#&$]+/y],
+  ["punctuation", /[()[\]{},|!;]/y]
+];
+
+function unquoteProlog(text, quote) {
+  return text.replace(new RegExp(`${quote}${quote}`, "g"), quote).replace(/\\(.)/g, (match, char) => TURTLE_ESCAPES[char] || char);
+}
+
+function tokenizeProlog(text) {
+  const tokens = [];
+  let position = 0;
+  let line = 1;
+  while (position < text.length) {
+    const found = PROLOG_TOKENS.find(([, pattern]) => {
+      pattern.lastIndex = position;
+      return pattern.test(text);
+    });
+    if (!found) {
+      throw new Error(`Prolog line ${line}: unexpected "${text.slice(position, position + 20).split("\n")[0]}"`);
+    }
+    
+    const [type, pattern] = found;
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    position += match[0].length;
+    if (type !== "space") {
+      const value = type === "quoted" ? unquoteProlog(match[1], "'")
+        : type === "string" ? unquoteProlog(match[1], '"')
+          : match[0];
+      // "f(" opens arguments; "f (" is an operator applied to a bracketed term
+      tokens.push({ type, text: match[0], value, line, call: text[position] === "(" });
+    }
+    line += match[0].split("\n").length - 1;
+  }
+  return tokens;
+}
+
+// Operator precedence parser for Prolog clauses, less lists and curly
+// terms. Terms are { type: "atom" | "compound", name, args },
+// { type: "variable", name } or { type: "number", value }.
+class PrologParser {
+  constructor(text) {
+    this.tokens = tokenizeProlog(text);
+    this.position = 0;
+  }
+  
+  // [{ term, line }], one per clause or directive
+  parse() {
+    const clauses = [];
+    while (this.peek()) {
+      const line = this.peek().line;
+      const term = this.term(1200);
+      const token = this.next();
+      if (token.type !== "end") this.fail("expected an operator or the closing \".\"", token);
+      clauses.push({ term, line });
+    }
+    return clauses;
+  }
+  
+  peek() {
+    return this.tokens[this.position] || null;
+  }
+  
+  next() {
+    const token = this.peek();
+    if (!token) this.fail("unexpected end of input");
+    this.position++;
+    return token;
+  }
+  
+  is(text) {
+    const token = this.peek();
+    return Boolean(token) && token.type === "punctuation" && token.text === text;
+  }
+  
+  expect(text) {
+    const token = this.next();
+    if (token.type !== "punctuation" || token.text !== text) this.fail(`expected "${text}"`, token);
+  }
+  
+  fail(message, token = this.peek()) {
+    const line = token ? token.line : (this.tokens[this.tokens.length - 1] || { line: 1 }).line;
+    throw new Error(`Prolog line ${line}: ${message}${token ? ` at "${token.text}"` : ""}`);
+  }
+  
+  // A term of at most the given priority, with the infix operators after it
+  term(max) {
+    let { term: left, priority } = this.primary(max);
+    for (;;) {
+      const token = this.peek();
+      const symbol = token && (token.type === "name" || (token.type === "punctuation" && [",", "|", ";"].includes(token.text)));
+      const name = symbol ? token.text : null;
+      const operator = name && PROLOG_INFIX[name];
+      if (!operator) break;
+      
+      const [precedence, kind] = operator;
+      const leftMax = kind === "yfx" ? precedence : precedence - 1;
+      if (precedence > max || priority > leftMax) break;
+      this.position++;
+      const right = this.term(kind === "xfy" ? precedence : precedence - 1);
+      left = { type: "compound", name: name === "|" ? ";" : name, args: [left, right] };
+      priority = precedence;
+    }
+    return left;
+  }
+  
+  // A term without infix operators, and its priority
+  primary(max) {
+    const token = this.next();
+    switch (token.type) {
+      case "number":
+        return { term: { type: "number", value: token.text }, priority: 0 };
+      case "variable":
+        return { term: { type: "variable", name: token.text }, priority: 0 };
+      case "string":
+        return { term: { type: "atom", name: token.value, args: [] }, priority: 0 };
+      case "end":
+        return this.fail("unexpected end of clause", token);
+    }
+    
+    if (token.type === "punctuation" && token.text === "(") {
+      const term = this.term(1200);
+      this.expect(")");
+      return { term, priority: 0 };
+    }
+    if (token.type === "punctuation" && ["[", "{"].includes(token.text)) {
+      return this.fail(token.text === "[" ? "lists are not supported" : "curly terms are not supported", token);
+    }
+    if (token.type === "punctuation" && !["!", ";"].includes(token.text)) {
+      return this.fail("expected a term", token);
+    }
+    
+    const name = token.value;
+    if (token.call) {
+      this.expect("(");
+      const args = [this.term(999)];
+      while (this.is(",")) {
+        this.position++;
+        args.push(this.term(999));
+      }
+      this.expect(")");
+      return { term: { type: "compound", name, args }, priority: 0 };
+    }
+    
+    const operator = token.type === "name" && PROLOG_PREFIX[name];
+    const following = this.peek();
+    const operand = following && following.type !== "end" &&
+      !(following.type === "punctuation" && following.text !== "(") &&
+      !(following.type === "name" && PROLOG_INFIX[following.text] && !PROLOG_PREFIX[following.text]);
+    if (operator && operand) {
+      const [precedence, kind] = operator;
+      if (name === "-" && following.type === "number") {
+        this.position++;
+        return { term: { type: "number", value: `-${following.text}` }, priority: 0 };
+      }
+      if (precedence <= max) {
+        const argument = this.term(kind === "fy" ? precedence : precedence - 1);
+        return { term: { type: "compound", name, args: [argument] }, priority: precedence };
+      }
+    }
+    return { term: { type: "atom", name, args: [] }, priority: 0 };
+  }
+}
+
+// Maps between Prolog clauses and ELLM statements. Concepts and relations
+// are atoms, with "_" for spaces ("part of" -> part_of) and rule variables
+// are Prolog variables. Besides the data predicates of PROLOG_DATA, it
+// reads ground facts of other predicates, "human(socrates)" as "socrates
+// is human" and "parent(tom, bob)" as "tom parent bob", and Horn clauses
+// built from such atoms as rules.
+class PrologTranslator {
+  // What a Prolog text says, as { facts, rules, relations, aliases,
+  // skipped }. `skipped` counts the clauses with no ELLM counterpart, such
+  // as facts with more than two arguments and clauses using built-ins.
+  // Throws on a syntax error.
+  read(text) {
+    const result = { facts: [], rules: [], relations: [], aliases: [], skipped: 0 };
+    const stored = new Map(); // statement text -> fact or rule, for confidence/2
+    const weights = [];
+    
+    for (const { term } of new PrologParser(text).parse()) {
+      const statement = this.statementFor(term);
+      if (statement === null) {
+        result.skipped++;
+      } else if (statement.fact || statement.rule) {
+        const item = statement.fact || statement.rule;
+        const key = String(item);
+        if (!stored.has(key)) {
+          stored.set(key, item);
+          (statement.fact ? result.facts : result.rules).push(item);
         }
+      } else if (statement.relation) {
+        result.relations.push(statement.relation);
+      } else if (statement.alias) {
+        result.aliases.push(statement.alias);
+      } else if (statement.confidence) {
+        weights.push(statement.confidence);
       }
     }
     
-    return null; // Parsing failed
-  }
-  
-  parseQuery(question) {
-    // Clean and normalize the question
-    const text = question.toLowerCase().replace(/[.?!,;]$/g, '').trim();
-    
-    // Handle "Is X Y?" questions
-    if (text.startsWith('is ')) {
-      const restOfQuery = text.substring(3).trim();
-      if (restOfQuery.includes(' a ')) {
-        // Handle "Is X a Y?" format
-        const parts = restOfQuery.split(' a ');
-        if (parts.length === 2) {
-          const subject = parts[0].trim();
-          const object = parts[1].trim();
-          return new Fact(subject, "is", object);
-        }
-      } else if (restOfQuery.includes(' an ')) {
-        // Handle "Is X an Y?" format
-        const parts = restOfQuery.split(' an ');
-        if (parts.length === 2) {
-          const subject = parts[0].trim();
-          const object = parts[1].trim();
-          return new Fact(subject, "is", object);
-        }
-      } else if (restOfQuery.includes(' part of ')) {
-        // Handle "Is X part of Y?" format
-        const parts = restOfQuery.split(' part of ');
-        if (parts.length === 2) {
-          const subject = parts[0].trim();
-          const object = parts[1].trim();
-          return new Fact(subject, "part of", object);
-        }
+    // Confidences may come before or after what they weigh
+    for (const { item, weight } of weights) {
+      const target = stored.get(String(item));
+      if (target && weight >= 0 && weight <= 1) {
+        target.confidence = weight;
       } else {
-        // General "Is X Y?" format
-        const words = restOfQuery.split(' ');
-        if (words.length >= 2) {
-          const subject = words[0];
-          const object = words.slice(1).join(' ');
-          return new Fact(subject, "is", object);
-        }
+        result.skipped++;
       }
     }
+    return result;
+  }
+  
+  // One clause as { fact }, { rule }, { relation }, { alias },
+  // { confidence }, {} when there is nothing to learn, or null when it has
+  // no ELLM counterpart
+  statementFor(term) {
+    if (term.type !== "compound" && term.type !== "atom") return null;
+    const { name, args } = term;
+    
+    if (name === ":-" && args.length === 1) return {}; // Directives
+    if (name === ":-") return this.ruleFor(args[0], args[1]);
+    if (PROLOG_RESERVED.includes(name)) return {};
     
-    // Handle "Are X Y?" questions (for plurals)
-    if (text.startsWith('are ')) {
-      const restOfQuery = text.substring(4).trim();
-      const words = restOfQuery.split(' ');
-      if (words.length >= 2) {
-        const subject = words[0];
-        const object = words.slice(1).join(' ');
-        return new Fact(subject, "is", object);
+    const [first, second] = args.map(arg => this.conceptName(arg));
+    switch (`${name}/${args.length}`) {
+      case "universal/2":
+        return first && second ? { rule: Rule.createUniversalRule(first, second) } : null;
+      case "capability/2":
+        return first && second ? { rule: Rule.createCapabilityRule(first, second) } : null;
+      case "transitive/1":
+      case "symmetric/1":
+        return first ? { relation: { relation: first, property: name } } : null;
+      case "relation/1":
+        return first ? { relation: { relation: first } } : null;
+      case "inverse/2":
+        return first && second ? { relation: { relation: first, inverse: second } } : null;
+      case "alias/2":
+        if (!first || !second) return null;
+        return first === second ? {} : { alias: { alias: first, canonical: second } };
+      case "confidence/2": {
+        const statement = this.statementFor(args[0]);
+        const item = statement && (statement.fact || statement.rule);
+        return item && args[1].type === "number" ? { confidence: { item, weight: Number(args[1].value) } } : null;
       }
     }
     
-    // Handle "Does X have Y?" questions
-    if (text.startsWith('does ') && text.includes(' have ')) {
-      const withoutDoes = text.substring(5).trim();
-      const parts = withoutDoes.split(' have ');
-      
-      if (parts.length === 2) {
-        const subject = parts[0];
-        const object = parts[1];
-        return new Fact(subject, "has", object);
+    const fact = this.factFor(term);
+    return fact && fact.isGround() ? { fact } : null;
+  }
+  
+  // A Horn clause as a standard rule; its atoms each become one condition
+  ruleFor(head, body) {
+    if (PROLOG_RESERVED.includes(head.name)) return {};
+    
+    const variables = { anonymous: 0 };
+    const conclusion = this.factFor(head, variables);
+    if (!conclusion || Fact.isVariable(conclusion.predicate)) return null;
+    
+    const goals = [];
+    const collect = goal => {
+      if (goal.type === "compound" && goal.name === "," && goal.args.length === 2) {
+        goal.args.forEach(collect);
+      } else {
+        goals.push(goal);
       }
+    };
+    collect(body);
+    
+    const conditions = goals.map(goal => this.factFor(goal, variables));
+    if (conditions.some(condition => !condition)) return null;
+    return { rule: new Rule(conditions, conclusion) };
+  }
+  
+  // An atom as a triple: fact(S, P, O) and its kin of PROLOG_TRIPLES, or
+  // p(X) for "X is p" and p(X, Y) for "X p Y". Null for anything else.
+  factFor(term, variables = null) {
+    if (term.type !== "compound") return null;
+    const { name, args } = term;
+    if (PROLOG_DATA.includes(`${name}/${args.length}`) && !(name in PROLOG_TRIPLES)) return null;
+    if (PROLOG_RESERVED.includes(name) && !(name in PROLOG_TRIPLES)) return null;
+    
+    const terms = args.map(arg => this.conceptName(arg, variables));
+    if (terms.some(item => !item)) return null;
+    if (name in PROLOG_TRIPLES) {
+      return args.length === 3 ? new Fact(terms[0], terms[1], terms[2], PROLOG_TRIPLES[name]) : null;
+    }
+    if (!/^[a-z]/i.test(name)) return null; // Built-ins such as X = Y and \+ G
+    if (args.length === 1) return new Fact(terms[0], "is", this.readName(name));
+    if (args.length === 2) return new Fact(terms[0], this.readName(name), terms[1]);
+    return null;
+  }
+  
+  // An argument as a concept name or, where `variables` allows them, a rule
+  // variable ("X" -> "?x"); null for compound terms
+  conceptName(term, variables = null) {
+    if (term.type === "atom") return this.readName(term.name) || null;
+    if (term.type === "number") return term.value;
+    if (term.type === "variable" && variables) {
+      if (term.name === "_") return `?_${++variables.anonymous}`;
+      return `?${term.name.toLowerCase()}`;
     }
+    return null;
+  }
+  
+  // part_of -> "part of", locatedIn -> "located in"
+  readName(name) {
+    return name.replace(/_/g, " ").replace(/([a-z0-9])([A-Z])/g, "$1 $2").trim().toLowerCase();
+  }
+  
+  // "part of" -> part_of; other names are quoted where they need it
+  atom(name) {
+    const text = String(name).trim().replace(/\s+/g, "_");
+    if (/^[a-z]\w*$/.test(text)) return text;
+    return `'${text.replace(/[\\']/g, "\\$&")}'`;
+  }
+  
+  // "?x" -> X, "?who" -> Who
+  variable(term) {
+    const text = term.slice(1).replace(/\W/g, "_");
+    return /^[a-z]/i.test(text) ? text[0].toUpperCase() + text.slice(1) : `_${text}`;
+  }
+  
+  // The knowledge of an ELLM as a Prolog program
+  write(ellm) {
+    const term = value => (Fact.isVariable(value) ? this.variable(value) : this.atom(value));
+    const call = (name, ...args) => `${name}(${args.map(term).join(", ")})`;
+    const triple = (fact, positive, negative) => call(fact.negated ? negative : positive, fact.subject, fact.predicate, fact.object);
+    const lines = [
+      "% Knowledge exported from ELLM. Ask with answer/4, e.g.",
+      "% ?- answer(socrates, is, mortal, Answer).",
+      `:- dynamic ${PROLOG_DATA.join(", ")}.`,
+      `:- discontiguous ${PROLOG_DATA.join(", ")}.`,
+      `:- table ${PROLOG_TABLED.join(", ")}.`
+    ];
+    const section = (title, clauses) => {
+      if (clauses.length) lines.push("", `% ${title}`, ...clauses);
+    };
     
-    // Handle "Can X Y?" questions
-    if (text.startsWith('can ')) {
-      const restOfQuery = text.substring(4).trim();
-      const words = restOfQuery.split(' ');
-      if (words.length >= 2) {
-        const subject = words[0];
-        const action = words.slice(1).join(' ');
-        return new Fact(subject, "can", action);
-      }
+    const relations = [];
+    const seen = new Set();
+    for (const relation of ellm.relations.toJSON()) {
+      seen.add(relation.name);
+      const builtin = BUILTIN_RELATIONS.some(known => known.name === relation.name);
+      if (relation.transitive) relations.push(`${call("transitive", relation.name)}.`);
+      if (relation.symmetric) relations.push(`${call("symmetric", relation.name)}.`);
+      // Each inverse pair once, from its second relation, as in RDF
+      if (relation.inverse && seen.has(relation.inverse)) relations.push(`${call("inverse", relation.name, relation.inverse)}.`);
+      if (!builtin && !relation.transitive && !relation.symmetric && !relation.inverse) relations.push(`${call("relation", relation.name)}.`);
     }
+    section("Relations", relations);
+    section("Aliases", Array.from(ellm.encoder.aliases, ([alias, canonical]) => `${call("alias", alias, canonical)}.`));
     
-    // Handle "Does X like Y?" questions
-    if (text.startsWith('does ') && text.includes(' like ')) {
-      const withoutDoes = text.substring(5).trim();
-      const parts = withoutDoes.split(' like ');
-      
-      if (parts.length === 2) {
-        const subject = parts[0];
-        const object = parts[1];
-        return new Fact(subject, "likes", object);
+    // Confidences below 1 follow what they weigh
+    const weighted = (clause, confidence = 1) => (confidence < 1 ? [`${clause}.`, `confidence(${clause}, ${confidence}).`] : [`${clause}.`]);
+    section("Facts", ellm.kb.facts.flatMap(fact => weighted(triple(fact, "fact", "neg_fact"), fact.confidence)));
+    
+    const rules = [];
+    for (const rule of ellm.kb.rules) {
+      if (rule.type !== "standard") {
+        const category = ellm.encoder.getConceptName(rule.categoryPrime);
+        rules.push(...weighted(call(rule.type, category, ellm.encoder.getConceptName(rule.propertyPrime)), rule.confidence));
+        continue;
       }
+      
+      // A condition whose variables are all bound is proved like a
+      // question; one that binds new variables matches stored facts only
+      const { conditions, conclusion } = ellm.kb.getRuleFacts(rule);
+      if (!conclusion || conditions.some(condition => !condition)) continue;
+      const bound = new Set([conclusion.subject, conclusion.predicate, conclusion.object].filter(Fact.isVariable));
+      const body = conditions.map(condition => {
+        const roles = [condition.subject, condition.predicate, condition.object].filter(Fact.isVariable);
+        const proved = roles.every(variable => bound.has(variable));
+        roles.forEach(variable => bound.add(variable));
+        return proved ? triple(condition, "holds", "holds_not") : triple(condition, "fact", "neg_fact");
+      });
+      const weight = rule.confidence < 1 ? ` (${rule.confidence}; not kept)` : "";
+      rules.push(`% ${rule.surface || ellm.describeRule(rule)}${weight}`);
+      rules.push(`${triple(conclusion, "derive", "derive_not")} :- ${body.join(", ")}.`);
     }
+    section("Rules", rules);
     
-    return null; // Parsing failed
+    lines.push("", "% How ELLM reasons", ...PROLOG_PROGRAM);
+    return lines.join("\n") + "\n";
+  }
+}
+
+// Snapshot format written by ELLM.toJSON. When the format changes, bump the
+// version and register an upgrade from the previous one so old files load.
+const SNAPSHOT_FORMAT = "ellm-knowledge-base";
+const SNAPSHOT_VERSION = 3;
+const SNAPSHOT_MIGRATIONS = {
+  // [fromVersion]: snapshot => snapshot in the format of fromVersion + 1
+  1: snapshot => ({ ...snapshot, relations: [] }), // Version 2 added declared relations
+  2: snapshot => ({ ...snapshot, encoder: { ...snapshot.encoder, aliases: [] } }) // Version 3 added concept aliases
+};
+
+function migrateSnapshot(snapshot) {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error("Not an ELLM knowledge base snapshot");
+  }
+  
+  let data = snapshot;
+  let version = data.version || 1;
+  if (version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${version} is newer than this ELLM (version ${SNAPSHOT_VERSION})`);
+  }
+  
+  while (version < SNAPSHOT_VERSION) {
+    data = SNAPSHOT_MIGRATIONS[version](data);
+    version++;
   }
+  return { ...data, version };
 }
 
 // Main ELLM class
 class ELLM {
   constructor() {
     this.encoder = new ConceptEncoder();
-    this.language = new LanguageProcessor(this.encoder);
+    this.relations = new RelationRegistry();
+    this.language = new LanguageProcessor(this.encoder, this.relations);
     this.kb = new KnowledgeBase(this.encoder);
-    this.reasoner = new ReasoningEngine(this.encoder);
+    this.reasoner = new ReasoningEngine(this.encoder, this.relations);
+    this.forwardChaining = false;
+    this.attachChainer();
+  }
+  
+  // Fresh forward chainer for the current encoder and relations
+  attachChainer() {
+    this.chainer = new ForwardChainer(this.encoder, this.relations);
+    this.reasoner.materialized = this.forwardChaining ? this.chainer : null;
+    if (this.forwardChaining) this.chainer.materialize(this.kb);
+  }
+  
+  // With forward chaining on, every derivable fact is materialized up front
+  // and kept current as knowledge changes, so queries become lookups
+  setForwardChaining(enabled) {
+    this.forwardChaining = Boolean(enabled);
+    this.reasoner.materialized = this.forwardChaining ? this.chainer : null;
+    if (this.forwardChaining) {
+      this.chainer.materialize(this.kb);
+    } else {
+      this.chainer.reset();
+    }
+    return this.forwardChaining;
+  }
+  
+  // How confidences combine along a proof: "product" or "minimum".
+  // Returns false for an unknown scheme.
+  setConfidenceCombination(name) {
+    if (!CONFIDENCE_COMBINATIONS[name]) return false;
+    this.reasoner.combination = name;
+    return true;
+  }
+  
+  // How deep backward chaining may go before a subgoal fails with a
+  // "limit" proof. Returns false unless given a whole number from 1 to
+  // MAX_DEPTH.
+  setMaxDepth(depth) {
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_DEPTH) return false;
+    this.reasoner.maxDepth = depth;
+    return true;
+  }
+  
+  // Bring derived facts up to date. New facts only add consequences; any
+  // other change (rules, declarations, retractions) recomputes them.
+  refreshInferences(newFacts = null) {
+    if (!this.forwardChaining) return;
+    if (newFacts) {
+      this.chainer.update(this.kb, newFacts);
+    } else {
+      this.chainer.materialize(this.kb);
+    }
+  }
+  
+  // Derived facts with the explanation of how each was obtained
+  getInferredFacts() {
+    return this.chainer.facts.map(fact => {
+      const proof = this.chainer.proofFor(this.encoder.encodeFact(fact));
+      const confidence = this.reasoner.scoreProof(proof);
+      return { fact: fact.toString(), confidence, explanation: this.reasoner.renderProof(proof), proof };
+    });
+  }
+  
+  // Pairs of statements that cannot both hold. Each conflict names the
+  // positive and negative fact, the proof of each side and its kind: both
+  // stated outright ("contradiction"), a negative that rests on a stated one
+  // overriding what rules conclude ("exception", as with penguins and
+  // flying, whether the penguin or its category is stated not to fly), or
+  // anything else ("rule").
+  checkConsistency() {
+    const conflicts = this.forwardChaining ? this.chainer.conflicts(this.kb) : this.negationConflicts();
+    return conflicts.map(({ fact, positive, negative }) => {
+      const stated = node => node.type === "fact";
+      const restsOnNegative = node => (stated(node) ? node.fact.negated : node.children.some(restsOnNegative));
+      let kind = "rule";
+      if (stated(positive) && stated(negative)) kind = "contradiction";
+      else if (!stated(positive) && restsOnNegative(negative)) kind = "exception";
+      return {
+        kind,
+        fact: fact.toString(),
+        negation: fact.negate().toString(),
+        proofs: [positive, negative],
+        explanation: this.describeConflict(kind, fact, positive, negative)
+      };
+    });
+  }
+  
+  // A conflict in words, naming the statements each side rests on:
+  // '"Tweety is a penguin" and "Penguins cannot fly" mean tweety cannot
+  // fly, an exception to "Penguins are birds" and "All birds can fly"'
+  describeConflict(kind, fact, positive, negative) {
+    const grounds = proof => {
+      const found = [];
+      const visit = node => {
+        if (node.type === "fact") {
+          found.push(node.source ? node.source.toSurfaceString() : node.fact.toString());
+        } else if (node.source && node.type !== "transitive" && node.type !== "inheritance") {
+          found.push(node.source.surface || this.describeRule(node.source));
+        }
+        // Backward chaining keeps the stored step of a chain out of its children
+        if (node.step && this.kb.hasFact(node.step)) found.push(this.kb.findFacts(node.step)[0].toSurfaceString());
+        node.children.forEach(visit);
+      };
+      visit(proof);
+      return Array.from(new Set(found), text => `"${text}"`);
+    };
+    const list = items => (items.length > 1 ? `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}` : items[0]);
+    const clause = (proof, conclusion) => {
+      if (proof.type === "fact") return `${grounds(proof)[0]} is stated`;
+      const premises = grounds(proof);
+      return `${list(premises)} ${premises.length > 1 ? "mean" : "means"} ${conclusion}`;
+    };
+    
+    if (kind === "contradiction") return `${grounds(positive)[0]} and ${grounds(negative)[0]} are both stated`;
+    if (kind === "exception") {
+      const shared = grounds(negative);
+      const overridden = grounds(positive).filter(premise => !shared.includes(premise));
+      return `${clause(negative, fact.negate())}, an exception to ${overridden.length ? list(overridden) : fact}`;
+    }
+    return `${clause(positive, fact)}, but ${clause(negative, fact.negate())}`;
+  }
+  
+  // Conflicts without forward chaining. Only negative facts can clash, so
+  // rather than deriving everything, each one known (stated, concluded by a
+  // rule or inherited from a category) is set against its positive.
+  negationConflicts() {
+    const negatives = new Map(); // key -> negative fact
+    const add = fact => {
+      const key = fact.toString();
+      if (negatives.has(key)) return false;
+      negatives.set(key, fact);
+      return true;
+    };
+    
+    this.kb.facts.filter(fact => fact.negated).forEach(add);
+    for (const rule of this.kb.rules) {
+      const { conclusion } = this.kb.getRuleFacts(rule);
+      if (conclusion.negated) this.reasoner.groundings(this.kb, conclusion).forEach(({ fact }) => add(fact));
+    }
+    // Members inherit the negatives of their categories through stated "is" facts
+    const queue = Array.from(negatives.values());
+    while (queue.length) {
+      const { subject, predicate, object } = queue.pop();
+      for (const membership of this.kb.findFacts({ predicate: "is", object: subject })) {
+        const inherited = new Fact(membership.subject, predicate, object, true);
+        if (!membership.negated && add(inherited)) queue.push(inherited);
+      }
+    }
+    
+    const proofOf = fact => (this.reasoner.directFactProof(this.kb, fact) || this.reasoner.derivation(this.kb, fact));
+    const found = [];
+    for (const negation of negatives.values()) {
+      const negative = proofOf(negation);
+      const positive = negative && proofOf(negation.negate());
+      if (positive) found.push({ fact: negation.negate(), positive, negative });
+    }
+    return found;
   }
   
   learn(text) {
-    // Split the text into sentences
-    const sentences = text.split(/[.!?]\s*/).filter(s => s.trim().length > 0);
+    // Split the text into sentences ("?" directly before a word is a rule variable,
+    // and "." inside a number such as "(0.9)" is not a sentence break)
+    const sentences = text.split(/[.!](?!\d)\s*|\?(?!\w)\s*/).filter(s => s.trim().length > 0);
     let learningResults = [];
+    const addedFacts = [];
+    const statements = []; // { line, sentence, source } for the consistency check
+    let rebuild = false;
     
     for (const sentence of sentences) {
       if (!sentence.trim()) continue;
       
+      // "Forget that X" retracts a previously learned statement
+      const forgetMatch = sentence.trim().match(/^forget(?: that)?\s+(.+)$/i);
+      if (forgetMatch) {
+        learningResults.push(this.forget(forgetMatch[1], false));
+        rebuild = true;
+        continue;
+      }
+      
+      // Relation declarations such as "located in is transitive"
+      const declaration = this.language.parseDeclaration(sentence);
+      if (declaration) {
+        learningResults.push(this.declareRelation(declaration));
+        rebuild = true;
+        continue;
+      }
+      
+      // Aliases such as "Automobile means car"
+      const alias = this.language.parseAlias(sentence);
+      if (alias) {
+        learningResults.push(this.defineAlias(alias));
+        rebuild = true;
+        continue;
+      }
+      
+      // Hedged statements ("Probably X", "X (0.7)") carry a confidence
+      const { text: statement, confidence, surface } = this.language.parseConfidence(sentence);
+      const weigh = parsed => {
+        if (confidence !== null) parsed.confidence = confidence;
+        if (parsed.surface && statement !== surface) parsed.surface = surface;
+        return parsed;
+      };
+      
       // First try to parse as a rule
-      const rule = this.language.parseRule(sentence);
+      const rule = this.language.parseRule(statement);
       if (rule) {
-        this.kb.addRule(rule);
-        learningResults.push(`Added rule: ${rule}`);
+        weigh(rule);
+        if (this.kb.hasRule(rule)) {
+          const stored = this.kb.rules[this.kb.findRuleIndex(rule)];
+          if (confidence !== null && stored.confidence !== rule.confidence) {
+            stored.confidence = rule.confidence;
+            rebuild = true;
+            learningResults.push(`Updated confidence: ${rule.toSurfaceString()} (${rule.confidence})`);
+            continue;
+          }
+          learningResults.push(`Already known rule: ${rule.toSurfaceString()}`);
+          continue;
+        }
+        statements.push({ line: learningResults.length, sentence, source: this.kb.addRule(rule) });
+        rebuild = true;
+        learningResults.push(`Added rule: ${rule.toSurfaceString()}`);
         continue;
       }
       
       // Then try to parse as a fact
-      const fact = this.language.parseFact(sentence);
+      const fact = this.language.parseFact(statement);
       if (fact) {
+        weigh(fact);
+        if (this.kb.hasFact(fact)) {
+          const stored = this.kb.getFactByEncoding(this.kb.encoder.encodeFact(fact));
+          if (confidence !== null && stored.confidence !== fact.confidence) {
+            stored.confidence = fact.confidence;
+            rebuild = true;
+            learningResults.push(`Updated confidence: ${fact.toSurfaceString()} (${fact.confidence})`);
+            continue;
+          }
+          learningResults.push(`Already known fact: ${fact.toSurfaceString()}`);
+          continue;
+        }
         this.kb.addFact(fact);
-        learningResults.push(`Added fact: ${fact}`);
+        statements.push({ line: learningResults.length, sentence, source: fact });
+        addedFacts.push(fact);
+        learningResults.push(`Added fact: ${fact.toSurfaceString()}`);
         continue;
       }
       
       learningResults.push(`Failed to parse: "${sentence}"`);
     }
     
-    return learningResults;
+    this.refreshInferences(rebuild ? null : addedFacts);
+    return this.flagConflicts(learningResults, statements);
+  }
+  
+  // Add a warning after each newly learned statement that takes part in a
+  // conflict, naming the clash and the chains behind it. Exceptions only get
+  // a note, since overriding a rule is what they are for.
+  flagConflicts(learningResults, statements) {
+    if (!statements.length) return learningResults;
+    
+    const warnings = new Map(); // result line -> warnings
+    for (const conflict of this.checkConsistency()) {
+      const sources = new Set();
+      const collect = node => {
+        if (node.source) sources.add(node.source);
+        node.children.forEach(collect);
+      };
+      conflict.proofs.forEach(collect);
+      
+      const offending = statements.filter(statement => sources.has(statement.source)).pop();
+      if (!offending) continue;
+      
+      if (!warnings.has(offending.line)) warnings.set(offending.line, []);
+      warnings.get(offending.line).push(conflict.kind === "exception"
+        ? `Note: "${offending.sentence.trim()}" is an exception: ${conflict.explanation}`
+        : `Warning: "${offending.sentence.trim()}" leads to a conflict: ${conflict.explanation}`);
+    }
+    
+    return learningResults.flatMap((line, index) => [line, ...(warnings.get(index) || [])]);
+  }
+  
+  declareRelation({ relation, property, inverse }) {
+    if (inverse) {
+      this.relations.defineInverse(relation, inverse);
+      return `Declared relation: ${relation} is the inverse of ${inverse}`;
+    }
+    if (property) {
+      this.relations.define(relation, { [property]: true });
+      return `Declared relation: ${relation} is ${property}`;
+    }
+    this.relations.define(relation);
+    return `Declared relation: ${relation}`;
+  }
+  
+  // Merge `alias` into `canonical`: both share one prime, and stored facts
+  // and rules that used the alias are rewritten to the canonical name
+  defineAlias({ alias, canonical }) {
+    const target = this.encoder.resolve(canonical);
+    if (this.encoder.resolve(alias) === target) {
+      return `Already known alias: ${alias} means ${target}`;
+    }
+    
+    this.encoder.addAlias(alias, target);
+    this.kb = this.kb.resolveAliases();
+    return `Added alias: ${alias} means ${target}`;
+  }
+  
+  // Retract the fact or rule a statement describes
+  forget(statement, refresh = true) {
+    const { text } = this.language.parseConfidence(statement);
+    const rule = this.language.parseRule(text);
+    const fact = !rule && this.language.parseFact(text);
+    if (!rule && !fact) {
+      return `Failed to parse: "${statement}"`;
+    }
+    
+    const removed = rule ? this.kb.removeRule(rule) : this.kb.removeFact(fact);
+    if (removed && refresh) this.refreshInferences();
+    
+    if (rule) {
+      return removed ? `Removed rule: ${rule.toSurfaceString()}` : `No such rule to forget: ${rule.toSurfaceString()}`;
+    }
+    return removed ? `Removed fact: ${fact.toSurfaceString()}` : `No such fact to forget: ${fact.toSurfaceString()}`;
+  }
+  
+  // Index-based removal, matching the order of getKnowledgeSummary()
+  removeFactAt(index) {
+    const fact = this.kb.facts[index];
+    const removed = Boolean(fact) && this.kb.removeFact(fact);
+    if (removed) this.refreshInferences();
+    return removed;
+  }
+  
+  removeRuleAt(index) {
+    const rule = this.kb.rules[index];
+    const removed = Boolean(rule) && this.kb.removeRule(rule);
+    if (removed) this.refreshInferences();
+    return removed;
   }
   
-  query(question) {
+  // Answer a question. `timeout` (ms) makes a long search throw
+  // QueryTimeoutError; `onProgress` hears how many subgoals were explored.
+  // The result reports the total as `explored`.
+  query(question, { timeout = null, onProgress = null } = {}) {
+    const reasoner = this.reasoner;
+    reasoner.explored = 0;
+    reasoner.deadline = timeout ? { at: Date.now() + timeout, timeout } : null;
+    reasoner.onProgress = onProgress;
+    try {
+      return { ...this._query(question), explored: reasoner.explored };
+    } finally {
+      reasoner.deadline = null;
+      reasoner.onProgress = null;
+    }
+  }
+  
+  _query(question) {
+    // "Is Socrates human and mortal?" combines the answers of its parts
+    const expression = this.language.parseCompoundQuery(question);
+    if (expression) {
+      const result = this.reasoner.evaluate(this.kb, expression);
+      return {
+        query: question,
+        parsedQuery: this.reasoner.formatExpression(expression),
+        answer: result.answer,
+        confidence: result.confidence,
+        parts: result.parts.map(part => ({
+          query: this.reasoner.formatExpression(part.expression),
+          answer: part.answer,
+          confidence: part.confidence,
+          explanation: part.explanation
+        })),
+        explanation: result.explanation,
+        proof: result.proof
+      };
+    }
+    
     const queryFact = this.language.parseQuery(question);
     
+    if (queryFact && !queryFact.isGround()) {
+      // Open question: list every answer that can be derived
+      const answers = this.reasoner.findAnswers(this.kb, queryFact).map(found => ({
+        answer: Object.values(found.bindings).join(", "),
+        fact: found.fact.toString(),
+        confidence: found.proof.confidence,
+        explanation: found.explanation,
+        proof: found.proof
+      }));
+      
+      return {
+        query: question,
+        parsedQuery: queryFact.toString(),
+        answer: answers.length ? answers.map(found => found.answer).join("; ") : "Unknown",
+        answers,
+        explanation: answers.length
+          ? answers.map(found => found.explanation).join("\n")
+          : `Could not find any answer for: ${queryFact}`
+      };
+    }
+    
     if (queryFact) {
       const result = this.reasoner.deduce(this.kb, queryFact);
+      const answer = this.reasoner.answerFor(result);
       
-      return {
+      const response = {
         query: question,
         parsedQuery: queryFact.toString(),
-        answer: result.result ? "Yes" : "No",
-        explanation: result.explanation
+        answer,
+        confidence: result.confidence,
+        explanation: result.explanation,
+        proof: result.proof
       };
+      
+      if (answer === "Unknown") {
+        response.whyNot = this.whyNot(queryFact);
+        const suggestions = response.whyNot.suggestions.map(facts => facts.join(" and "));
+        response.explanation += response.whyNot.attempts.length
+          ? `. It would follow from: ${suggestions.join("; or ")}`
+          : ". No rule or relation leads to it, so it would have to be stated directly";
+      }
+      return response;
     }
     
     return {
@@ -714,10 +3847,92 @@ class ELLM {
     };
   }
   
+  // Readable form of explainFailure(): what each attempt relied on and what
+  // it lacked, and the facts that would settle the query
+  whyNot(queryFact) {
+    const { attempts, suggestions } = this.reasoner.explainFailure(this.kb, queryFact);
+    const describe = attempt => {
+      if (attempt.type === "transitive") return `${attempt.source}, and "${queryFact.predicate}" is transitive`;
+      if (attempt.type === "inheritance") return `${attempt.source}, inheriting its exceptions`;
+      return attempt.source.surface || this.describeRule(attempt.source);
+    };
+    
+    return {
+      attempts: attempts.map(attempt => ({
+        type: attempt.type,
+        via: describe(attempt),
+        satisfied: attempt.satisfied.map(fact => fact.toString()),
+        missing: attempt.missing.map(fact => fact.toString())
+      })),
+      suggestions: suggestions.map(facts => facts.map(fact => fact.toString()))
+    };
+  }
+  
   explainKnowledgeBase() {
     this.kb.printKnowledgeBase();
   }
 
+  // Concepts as nodes, facts as labeled edges and rules as hyper-edges from
+  // the concepts in their conditions to those in their conclusion. Edges and
+  // rules keep their index in the knowledge base; variables are left out.
+  getKnowledgeGraph() {
+    const nodes = new Map();
+    const addNode = concept => {
+      if (!nodes.has(concept)) nodes.set(concept, { id: concept, label: concept });
+      return concept;
+    };
+    const conceptsOf = facts => [...new Set(facts.flatMap(fact => [fact.subject, fact.object]))]
+      .filter(concept => !Fact.isVariable(concept))
+      .map(addNode);
+    
+    const edges = this.kb.facts.map((fact, index) => ({
+      index,
+      source: addNode(fact.subject),
+      target: addNode(fact.object),
+      label: fact.negated ? negatePredicate(fact.predicate) : fact.predicate,
+      negated: fact.negated
+    }));
+    
+    const rules = this.kb.rules.map((rule, index) => {
+      const { conditions, conclusion } = this.kb.getRuleFacts(rule);
+      return {
+        index,
+        label: rule.surface || this.describeRule(rule),
+        inputs: conceptsOf(conditions),
+        outputs: conceptsOf([conclusion])
+      };
+    });
+    
+    return { nodes: Array.from(nodes.values()), edges, rules };
+  }
+  
+  // Which parts of getKnowledgeGraph() a query result relied on: fact and
+  // rule indices, plus every concept the reasoning touched
+  graphHighlights(result) {
+    const proofs = result.answers ? result.answers.map(found => found.proof) : [result.proof];
+    const sources = new Set();
+    const concepts = new Set();
+    const visit = node => {
+      if (!node) return;
+      if (node.fact) {
+        for (const concept of [node.fact.subject, node.fact.object]) {
+          if (!Fact.isVariable(concept)) concepts.add(concept);
+        }
+      }
+      node.children.forEach(visit);
+    };
+    proofs.forEach(proof => {
+      this.reasoner.proofSources(proof, sources);
+      visit(proof);
+    });
+    
+    return {
+      facts: this.kb.facts.map((fact, index) => (sources.has(fact) ? index : -1)).filter(index => index !== -1),
+      rules: this.kb.rules.map((rule, index) => (sources.has(rule) ? index : -1)).filter(index => index !== -1),
+      concepts: Array.from(concepts)
+    };
+  }
+  
   describeRule(rule) {
     if (rule.type === "universal") {
       return `All ${this.encoder.getConceptName(rule.categoryPrime)} are ${this.encoder.getConceptName(rule.propertyPrime)}`;
@@ -745,23 +3960,368 @@ class ELLM {
   }
 
   getKnowledgeSummary() {
+    // Hedged statements show their confidence, e.g. "Alice likes Bob (0.8)"
+    const weighted = (text, confidence = 1) => (confidence < 1 ? `${text} (${confidence})` : text);
     return {
-      facts: this.kb.facts.map(f => f.toString()),
-      rules: this.kb.rules.map(rule => this.describeRule(rule))
+      facts: this.kb.facts.map(f => weighted(f.toSurfaceString(), f.confidence)),
+      rules: this.kb.rules.map(rule => weighted(rule.surface || this.describeRule(rule), rule.confidence)),
+      inferred: this.chainer.facts.map(f => f.toString()),
+      aliases: this.describeAliases()
     };
   }
+  
+  // "car (also automobile, auto)" for every concept that has aliases
+  describeAliases() {
+    const concepts = new Set(this.encoder.aliases.values());
+    return Array.from(concepts, concept => `${concept} (also ${this.encoder.aliasesOf(concept).join(", ")})`);
+  }
 
   reset() {
+    const { combination, maxDepth } = this.reasoner;
     this.encoder = new ConceptEncoder();
-    this.language = new LanguageProcessor(this.encoder);
+    this.relations = new RelationRegistry();
+    this.language = new LanguageProcessor(this.encoder, this.relations);
     this.kb = new KnowledgeBase(this.encoder);
-    this.reasoner = new ReasoningEngine(this.encoder);
+    this.reasoner = new ReasoningEngine(this.encoder, this.relations);
+    this.reasoner.combination = combination;
+    this.reasoner.maxDepth = maxDepth;
+    this.attachChainer();
     return this;
   }
+  
+  // Learn the triples of a Turtle or N-Triples text (see RdfTranslator for
+  // the mapping and `options`). Returns one line per statement, like
+  // learn(); throws on a syntax error.
+  importRdf(text, options = {}) {
+    const { skipped, ...statements } = new RdfTranslator(options).read(text);
+    const note = skipped ? `Skipped ${skipped} triple${skipped === 1 ? "" : "s"} with no ELLM counterpart` : null;
+    return this.learnStatements(statements, note);
+  }
+  
+  // Learn the facts and Horn clauses of a Prolog program, such as one
+  // written by exportProlog() (see PrologTranslator for the mapping).
+  // Returns one line per statement, like learn(); throws on a syntax error.
+  importProlog(text) {
+    const { skipped, ...statements } = new PrologTranslator().read(text);
+    const note = skipped ? `Skipped ${skipped} clause${skipped === 1 ? "" : "s"} with no ELLM counterpart` : null;
+    return this.learnStatements(statements, note);
+  }
+  
+  // Add what a translator read or another ELLM holds: relations first, then
+  // rules and facts, and aliases last so they rewrite what was just added.
+  // Statements are reported as they were written when that is known.
+  // `note` closes the results.
+  learnStatements({ facts, rules, relations, aliases }, note = null) {
+    // Declarations already in effect, such as transitive(is), are left out
+    const learningResults = relations
+      .filter(({ relation, property, inverse }) => {
+        const known = this.relations.get(relation);
+        if (!known) return true;
+        return property ? !known[property] : Boolean(inverse) && known.inverse !== inverse;
+      })
+      .map(declaration => this.declareRelation(declaration));
+    const statements = [];
+    
+    // Predicates become relations, so questions can use them
+    for (const { predicate } of [...facts, ...rules.map(rule => rule.conclusion)]) {
+      if (!Fact.isVariable(predicate) && !this.relations.has(predicate)) {
+        learningResults.push(this.declareRelation({ relation: predicate }));
+      }
+    }
+    
+    for (const rule of rules) {
+      if (this.kb.hasRule(rule)) {
+        learningResults.push(`Already known rule: ${rule.toSurfaceString()}`);
+        continue;
+      }
+      statements.push({ line: learningResults.length, sentence: rule.toString(), source: this.kb.addRule(rule) });
+      learningResults.push(`Added rule: ${rule.toSurfaceString()}`);
+    }
+    
+    for (const fact of facts) {
+      if (this.kb.hasFact(fact)) {
+        learningResults.push(`Already known fact: ${fact.toSurfaceString()}`);
+        continue;
+      }
+      this.kb.addFact(fact);
+      statements.push({ line: learningResults.length, sentence: fact.toString(), source: fact });
+      learningResults.push(`Added fact: ${fact.toSurfaceString()}`);
+    }
+    
+    aliases.forEach(alias => learningResults.push(this.defineAlias(alias)));
+    if (note) learningResults.push(note);
+    
+    this.refreshInferences();
+    return this.flagConflicts(learningResults, statements);
+  }
+  
+  // Facts, universal and capability rules, declared relations and aliases
+  // as Turtle, or as N-Triples with `format: "ntriples"`. Other options go
+  // to RdfTranslator.
+  exportRdf({ format = "turtle", ...options } = {}) {
+    return new RdfTranslator(options).write(this, format);
+  }
+  
+  // Facts, rules and relations as a Prolog program that answers as this
+  // knowledge base does, through answer/4
+  exportProlog() {
+    return new PrologTranslator().write(this);
+  }
+  
+  // The knowledge as statements that name their concepts, so an ELLM with
+  // another prime table can learn them (see merge()). `facts` and `rules`
+  // pick items by index; unless all of them are wanted, only the relations
+  // the picked items use come along, and no aliases.
+  statements({ facts = null, rules = null, relations = !facts && !rules, aliases = relations } = {}) {
+    const picked = facts || rules;
+    const pick = (items, indices) => (picked ? (indices || []).map(index => items[index]).filter(Boolean) : items);
+    const factsOut = pick(this.kb.facts, facts).map(fact => {
+      const copy = new Fact(fact.subject, fact.predicate, fact.object, fact.negated);
+      copy.surface = fact.surface;
+      copy.confidence = fact.confidence;
+      return copy;
+    });
+    const rulesOut = pick(this.kb.rules, rules).map(rule => this.kb.decodeRule(rule));
+    const used = new Set([...factsOut, ...rulesOut.flatMap(rule => [...rule.conditions, rule.conclusion])]
+      .map(fact => fact.predicate));
+    const declarations = this.relations.toJSON()
+      .filter(({ name }) => relations || used.has(name))
+      .flatMap(({ name, transitive, symmetric, inverse }) => {
+        const properties = [];
+        if (transitive) properties.push({ relation: name, property: "transitive" });
+        if (symmetric) properties.push({ relation: name, property: "symmetric" });
+        if (inverse) properties.push({ relation: name, inverse });
+        return properties.length ? properties : [{ relation: name }];
+      });
+    
+    return {
+      facts: factsOut,
+      rules: rulesOut,
+      relations: declarations,
+      aliases: aliases ? Array.from(this.encoder.aliases, ([alias, canonical]) => ({ alias, canonical })) : []
+    };
+  }
+  
+  // Learn what `other` knows and this ELLM does not, as diff() sees it, or
+  // only the facts and rules of it picked by index. Returns one line per
+  // statement, like learn().
+  merge(other, { facts = null, rules = null } = {}) {
+    const { here: missing } = other.diff(this);
+    if (!facts && !rules) return this.learnStatements(other.statements({ ...missing, relations: true }));
+    
+    const pick = (indices, wanted) => indices.filter(index => (wanted || []).includes(index));
+    return this.learnStatements(other.statements({ facts: pick(missing.facts, facts), rules: pick(missing.rules, rules) }));
+  }
+  
+  // A new ELLM that knows what all of `ellms` know
+  static union(ellms) {
+    const union = new ELLM();
+    ellms.forEach(ellm => union.merge(ellm));
+    return union;
+  }
+  
+  // The facts and rules this ELLM and `other` do not share, as indices:
+  // { here: { facts, rules }, there: { facts, rules } }. Their prime tables
+  // differ, so statements are matched by concept names, read through the
+  // aliases of both, with rule variables matched by position.
+  diff(other) {
+    const names = new ConceptEncoder();
+    for (const ellm of [this, other]) {
+      ellm.encoder.aliases.forEach((canonical, alias) => names.addAlias(alias, canonical));
+    }
+    const factKey = (fact, variables = new Map()) => {
+      const terms = [fact.subject, fact.predicate, fact.object].map(term => {
+        if (!Fact.isVariable(term)) return names.resolve(term);
+        if (!variables.has(term)) variables.set(term, `?${variables.size + 1}`);
+        return variables.get(term);
+      });
+      return `${fact.negated ? "not " : ""}${terms.join("|")}`;
+    };
+    const keys = ellm => ({
+      facts: ellm.kb.facts.map(fact => factKey(fact)),
+      rules: ellm.kb.rules.map(encodedRule => {
+        const rule = ellm.kb.decodeRule(encodedRule);
+        const variables = new Map();
+        return `${rule.type}:${[...rule.conditions, rule.conclusion].map(fact => factKey(fact, variables)).join(",")}`;
+      })
+    });
+    const missing = (items, others) => {
+      const known = new Set(others);
+      return items.flatMap((key, index) => (known.has(key) ? [] : [index]));
+    };
+    
+    const here = keys(this);
+    const there = keys(other);
+    return {
+      here: { facts: missing(here.facts, there.facts), rules: missing(here.rules, there.rules) },
+      there: { facts: missing(there.facts, here.facts), rules: missing(there.rules, here.rules) }
+    };
+  }
+  
+  // Versioned snapshot of facts, rules and the concept-to-prime table
+  toJSON() {
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      encoder: this.encoder.toJSON(),
+      relations: this.relations.toJSON(),
+      ...this.kb.toJSON()
+    };
+  }
+  
+  // Accepts a snapshot object or its JSON text; throws on unreadable input
+  static fromJSON(snapshot) {
+    const data = migrateSnapshot(typeof snapshot === "string" ? JSON.parse(snapshot) : snapshot);
+    const ellm = new ELLM();
+    
+    ellm.encoder = ConceptEncoder.fromJSON(data.encoder);
+    ellm.relations = RelationRegistry.fromJSON(data.relations);
+    ellm.language = new LanguageProcessor(ellm.encoder, ellm.relations);
+    ellm.kb = KnowledgeBase.fromJSON(ellm.encoder, data);
+    ellm.reasoner = new ReasoningEngine(ellm.encoder, ellm.relations);
+    ellm.attachChainer();
+    return ellm;
+  }
+}
+
+// Regression scenario: statements to learn interleaved with expectations
+// such as "expect: Is Socrates mortal? -> Yes". An expected answer may carry
+// its confidence ("-> Yes (0.72)"), open questions list their answers
+// separated by ";", and a "because: ..." line after an expectation pins the
+// explanation. Lines starting with "#" are comments.
+class Scenario {
+  constructor(steps, name = "scenario") {
+    this.steps = steps; // { type: "learn", line, text } or { type: "expect", line, question, answer, confidence, explanation }
+    this.name = name;
+  }
+  
+  // Throws on a "because:" line that follows no expectation
+  static parse(text, name) {
+    const steps = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+      const line = index + 1;
+      const content = raw.trim();
+      if (!content || content.startsWith("#")) return;
+      
+      let match;
+      if ((match = content.match(/^expect:\s*(.+?)\s*->\s*(.+)$/i))) {
+        const [, question, expected] = match;
+        const scored = expected.match(/^(.*?)\s*\((\d*\.?\d+)\)$/);
+        steps.push({
+          type: "expect",
+          line,
+          question,
+          answer: scored ? scored[1] : expected,
+          confidence: scored ? parseFloat(scored[2]) : null,
+          explanation: null
+        });
+      } else if ((match = content.match(/^because:\s*(.+)$/i))) {
+        const last = steps[steps.length - 1];
+        if (!last || last.type !== "expect" || last.explanation !== null) {
+          throw new Error(`${name || "Scenario"}, line ${line}: "because:" must follow an expectation`);
+        }
+        last.explanation = match[1];
+      } else {
+        steps.push({ type: "learn", line, text: content });
+      }
+    });
+    return new Scenario(steps, name);
+  }
+  
+  // Run every step against a fresh ELLM. Statements that fail to parse count
+  // as failures too, so a scenario cannot silently lose its premises.
+  run() {
+    const ellm = new ELLM();
+    const results = [];
+    
+    for (const step of this.steps) {
+      if (step.type === "learn") {
+        const failures = ellm.learn(step.text).filter(line => line.startsWith("Failed to parse"));
+        if (failures.length) {
+          results.push({ line: step.line, label: step.text, pass: false, diff: failures });
+        }
+        continue;
+      }
+      
+      const response = ellm.query(step.question);
+      const diff = this.compare(step, response);
+      results.push({ line: step.line, label: `${step.question} -> ${response.answer}`, pass: !diff.length, diff });
+    }
+    
+    const failed = results.filter(result => !result.pass).length;
+    return { name: this.name, passed: results.length - failed, failed, results };
+  }
+  
+  // Differences between an expectation and a query response, one line each
+  compare(step, response) {
+    const diff = [];
+    const normalize = text => text.replace(/\s+/g, " ").trim().toLowerCase();
+    
+    // Open questions compare their answers as a set
+    const answers = response.answers && response.answers.length
+      ? response.answers.map(found => found.answer)
+      : [response.answer];
+    const expected = step.answer.split(";").map(normalize).sort();
+    const actual = answers.map(normalize).sort();
+    if (expected.join(";") !== actual.join(";")) {
+      diff.push(`answer: expected ${step.answer}, got ${answers.join("; ")}`);
+    }
+    
+    if (step.confidence !== null) {
+      const confidence = response.confidence ?? null;
+      if (confidence === null || Math.abs(confidence - step.confidence) > 0.0005) {
+        diff.push(`confidence: expected ${step.confidence}, got ${confidence === null ? "none" : Number(confidence.toFixed(3))}`);
+      }
+    }
+    
+    if (step.explanation !== null && normalize(step.explanation) !== normalize(response.explanation)) {
+      diff.push(`explanation: expected "${step.explanation}", got "${response.explanation}"`);
+    }
+    return diff;
+  }
+  
+  // Plain-text report: one PASS/FAIL line per check, the differences
+  // indented below each failure, and a closing count
+  static formatReport(report) {
+    const lines = [];
+    for (const result of report.results) {
+      lines.push(`${result.pass ? "PASS" : "FAIL"} line ${result.line}: ${result.label}`);
+      lines.push(...result.diff.map(line => `  ${line}`));
+    }
+    lines.push(`${report.name}: ${report.passed} passed, ${report.failed} failed`);
+    return lines;
+  }
+}
+
+// Expose to Node.js (CommonJS; ../ellm.mjs re-exports it as an ES module)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ELLM,
+    Fact,
+    Rule,
+    PrimeCalculator,
+    RelationRegistry,
+    ConceptEncoder,
+    KnowledgeBase,
+    ReasoningEngine,
+    ForwardChainer,
+    LanguageProcessor,
+    Scenario,
+    RdfTranslator,
+    PrologTranslator,
+    QueryTimeoutError,
+    MAX_DEPTH,
+    SNAPSHOT_FORMAT,
+    SNAPSHOT_VERSION,
+    RDF_NAMESPACE,
+    RDF_PREFIXES
+  };
 }
+
 // Expose to browser environments
 if (typeof window !== "undefined") {
   window.ELLM = ELLM;
   window.Rule = Rule;
   window.Fact = Fact;
+  window.Scenario = Scenario;
 }
@@ -0,0 +1,280 @@
+// ELLM service: the core behind a plain-data API, so it can answer from a
+// Web Worker (this file is the worker script) or, where workers are not
+// available, on the page through EllmClient. Results hold no class
+// instances: facts are strings and proof nodes carry their step label.
+// It keeps several named knowledge bases; most calls work on the active one.
+
+const DEFAULT_BASE = "Main";
+const WORKSPACE_FORMAT = "ellm-workspace";
+
+class EllmService {
+  constructor() {
+    this.bases = new Map([[DEFAULT_BASE, new ELLM()]]); // name -> ELLM, in tab order
+    this.active = DEFAULT_BASE;
+    this.options = { forwardChaining: false, combination: "product", maxDepth: null };
+    this.unions = new Map(); // sorted names -> ELLM, until one of them changes
+  }
+
+  get ellm() {
+    return this.bases.get(this.active);
+  }
+
+  set ellm(ellm) {
+    this.bases.set(this.active, ellm);
+  }
+
+  learn(text) {
+    this.changed(this.active);
+    return this.ellm.learn(text);
+  }
+
+  // `bases` names the knowledge bases to ask, together when there are
+  // several; by default the active one
+  query(question, { timeout = null, bases = null } = {}, onProgress = null) {
+    const ellm = this.scope(bases);
+    const result = ellm.query(question, { timeout, onProgress });
+    return {
+      query: result.query,
+      parsedQuery: result.parsedQuery,
+      answer: result.answer,
+      confidence: result.confidence ?? null,
+      explanation: result.explanation,
+      explored: result.explored,
+      parts: result.parts,
+      whyNot: result.whyNot,
+      answers: result.answers && result.answers.map(found => ({
+        answer: found.answer,
+        fact: found.fact,
+        confidence: found.confidence,
+        explanation: found.explanation,
+        proof: this.outline(found.proof, ellm)
+      })),
+      proof: result.proof ? this.outline(result.proof, ellm) : null,
+      // The graph only shows the active knowledge base
+      highlights: ellm === this.ellm ? ellm.graphHighlights(result) : null
+    };
+  }
+
+  // The ELLM that answers for the named knowledge bases: one of them, or a
+  // union of their knowledge
+  scope(names) {
+    if (!names || !names.length) return this.ellm;
+    const ellms = names.map(name => this.base(name));
+    if (ellms.length === 1) return ellms[0];
+    const key = JSON.stringify([...new Set(names)].sort());
+    if (!this.unions.has(key)) {
+      const union = ELLM.union(ellms);
+      this.applyOptions(union);
+      this.unions.set(key, union);
+    }
+    return this.unions.get(key);
+  }
+
+  // Drop the unions built from a knowledge base that changed, or all of
+  // them when no name is given
+  changed(name = null) {
+    for (const key of this.unions.keys()) {
+      if (name === null || JSON.parse(key).includes(name)) this.unions.delete(key);
+    }
+  }
+
+  // A proof tree as nested { type, label, confidence, children }
+  outline(node, ellm = this.ellm) {
+    return {
+      type: node.type,
+      label: ellm.reasoner.describeProofStep(node),
+      confidence: node.confidence ?? null,
+      children: node.children.map(child => this.outline(child, ellm))
+    };
+  }
+
+  // Everything the knowledge panels show
+  knowledge() {
+    const { forwardChaining } = this.ellm;
+    return {
+      bases: this.listBases(),
+      summary: this.ellm.getKnowledgeSummary(),
+      graph: this.ellm.getKnowledgeGraph(),
+      forwardChaining,
+      inferred: forwardChaining
+        ? this.ellm.getInferredFacts().map(({ fact, confidence, explanation }) => ({ fact, confidence, explanation }))
+        : []
+    };
+  }
+
+  consistency() {
+    return this.ellm.checkConsistency().map(({ kind, explanation }) => ({ kind, explanation }));
+  }
+
+  removeFact(index) {
+    this.changed(this.active);
+    return this.ellm.removeFactAt(index);
+  }
+
+  removeRule(index) {
+    this.changed(this.active);
+    return this.ellm.removeRuleAt(index);
+  }
+
+  reset() {
+    this.changed(this.active);
+    this.ellm.reset();
+    return true;
+  }
+
+  // Forward chaining, confidence combination and depth limit, for every
+  // knowledge base; they survive reset() and load()
+  configure(options = {}) {
+    Object.assign(this.options, options);
+    this.changed();
+    this.bases.forEach(ellm => this.applyOptions(ellm));
+    return this.options;
+  }
+
+  applyOptions(ellm) {
+    const { forwardChaining, combination, maxDepth } = this.options;
+    ellm.setForwardChaining(forwardChaining);
+    ellm.setConfidenceCombination(combination);
+    if (maxDepth !== null) ellm.setMaxDepth(maxDepth);
+  }
+
+  // Snapshot of the active knowledge base
+  snapshot() {
+    return this.ellm.toJSON();
+  }
+
+  // Replaces the active knowledge base. Throws on an unreadable snapshot,
+  // leaving the current knowledge in place.
+  load(snapshot) {
+    this.ellm = ELLM.fromJSON(snapshot);
+    this.changed(this.active);
+    this.applyOptions(this.ellm);
+    return true;
+  }
+
+  runScenario(text) {
+    return Scenario.parse(text, "Scenario").run();
+  }
+
+  // Names in tab order, and the active one
+  listBases() {
+    return { names: Array.from(this.bases.keys()), active: this.active };
+  }
+
+  // Throws on an unknown name
+  base(name) {
+    const ellm = this.bases.get(name);
+    if (!ellm) throw new Error(`No knowledge base named "${name}"`);
+    return ellm;
+  }
+
+  // Add an empty knowledge base and make it the active one
+  createBase(name) {
+    const key = String(name ?? "").trim();
+    if (!key) throw new Error("A knowledge base needs a name");
+    if (this.bases.has(key)) throw new Error(`There is already a knowledge base named "${key}"`);
+
+    const ellm = new ELLM();
+    this.applyOptions(ellm);
+    this.bases.set(key, ellm);
+    this.active = key;
+    return this.listBases();
+  }
+
+  selectBase(name) {
+    this.base(name);
+    this.active = name;
+    return this.listBases();
+  }
+
+  // Removing the active knowledge base activates its neighbour
+  removeBase(name) {
+    this.base(name);
+    if (this.bases.size === 1) throw new Error("The last knowledge base cannot be removed");
+
+    const names = Array.from(this.bases.keys());
+    const position = names.indexOf(name);
+    this.bases.delete(name);
+    this.changed(name);
+    if (this.active === name) this.active = names[position + 1] || names[position - 1];
+    return this.listBases();
+  }
+
+  // What each of two knowledge bases has and the other lacks, as { left,
+  // right }, each { name, facts, rules } listing items as { index, text }
+  compare(name, otherName) {
+    const ellm = this.base(name);
+    const other = this.base(otherName);
+    const { here, there } = ellm.diff(other);
+    const describe = (base, source, { facts, rules }) => {
+      const summary = source.getKnowledgeSummary();
+      return {
+        name: base,
+        facts: facts.map(index => ({ index, text: summary.facts[index] })),
+        rules: rules.map(index => ({ index, text: summary.rules[index] }))
+      };
+    };
+    return { left: describe(name, ellm, here), right: describe(otherName, other, there) };
+  }
+
+  // Copy into one knowledge base what another has and it lacks, or the
+  // facts and rules of that picked by index; returns the learning results
+  merge(from, into, selection = {}) {
+    if (from === into) throw new Error("Pick two different knowledge bases");
+    const ellm = this.base(into);
+    this.changed(into);
+    return ellm.merge(this.base(from), selection);
+  }
+
+  // Every knowledge base, for autosaving and for rebuilding the worker
+  workspace() {
+    return {
+      format: WORKSPACE_FORMAT,
+      active: this.active,
+      bases: Array.from(this.bases, ([name, ellm]) => ({ name, knowledge: ellm.toJSON() }))
+    };
+  }
+
+  // Accepts a workspace or a single snapshot, as saved before there were
+  // several knowledge bases. Throws on unreadable input, leaving everything
+  // in place.
+  loadWorkspace(workspace) {
+    const data = typeof workspace === "string" ? JSON.parse(workspace) : workspace;
+    const bases = data && data.format === WORKSPACE_FORMAT
+      ? new Map(data.bases.map(({ name, knowledge }) => [name, ELLM.fromJSON(knowledge)]))
+      : new Map([[DEFAULT_BASE, ELLM.fromJSON(data)]]);
+    if (!bases.size) throw new Error("The workspace has no knowledge bases");
+
+    this.bases = bases;
+    this.active = bases.has(data.active) ? data.active : bases.keys().next().value;
+    this.configure();
+    return this.listBases();
+  }
+}
+
+// Methods a page may call through postMessage
+EllmService.METHODS = [
+  "learn", "query", "knowledge", "consistency", "removeFact", "removeRule",
+  "reset", "configure", "snapshot", "load", "runScenario", "listBases",
+  "createBase", "selectBase", "removeBase", "compare", "merge", "workspace",
+  "loadWorkspace"
+];
+
+// Worker side: messages are { id, method, args }; replies are { id, result }
+// or { id, error, timedOut }, with { id, progress } while a query runs
+if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+  importScripts("ellm-core.js");
+  const service = new EllmService();
+
+  self.onmessage = ({ data: { id, method, args = [] } }) => {
+    try {
+      if (!EllmService.METHODS.includes(method)) throw new Error(`Unknown method: ${method}`);
+      const result = method === "query"
+        ? service.query(args[0], args[1], explored => self.postMessage({ id, progress: explored }))
+        : service[method](...args);
+      self.postMessage({ id, result });
+    } catch (err) {
+      self.postMessage({ id, error: err.message, timedOut: err.name === "QueryTimeoutError" });
+    }
+  };
+}
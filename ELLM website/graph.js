@@ -0,0 +1,191 @@
+// Knowledge graph drawing for the ELLM web app: concepts as nodes, facts as
+// labeled edges and rules as diamond hubs joining the concepts they mention.
+// Works on the data from ELLM.getKnowledgeGraph().
+
+const GRAPH_WIDTH = 800;
+const GRAPH_HEIGHT = 440;
+const GRAPH_MARGIN = 40;
+const GRAPH_MAX_ITEMS = 250; // Larger graphs are not laid out
+const GRAPH_GRAVITY = 1;
+const NODE_RADIUS = 9;
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function ruleNodeId(rule) {
+  return `rule:${rule.label}`;
+}
+
+// Every pair the layout should pull together: fact edges, and each rule hub
+// with the concepts it joins
+function graphLinks(graph) {
+  const links = graph.edges.map(edge => [edge.source, edge.target]);
+  for (const rule of graph.rules) {
+    const hub = ruleNodeId(rule);
+    for (const concept of [...rule.inputs, ...rule.outputs]) links.push([concept, hub]);
+  }
+  return links;
+}
+
+// Positions for concept nodes and rule hubs from a short force simulation.
+// Positions from the previous layout are the starting point, so learning one
+// more fact does not reshuffle the whole picture.
+function layoutGraph(graph, previous = new Map()) {
+  const ids = [...graph.nodes.map(node => node.id), ...graph.rules.map(ruleNodeId)];
+  const positions = new Map();
+  ids.forEach((id, index) => {
+    const known = previous.get(id);
+    // New items start on a spiral around the centre (golden angle steps)
+    const angle = index * 2.39996;
+    const radius = 20 + 12 * Math.sqrt(index);
+    positions.set(id, known
+      ? { ...known }
+      : { x: GRAPH_WIDTH / 2 + radius * Math.cos(angle), y: GRAPH_HEIGHT / 2 + radius * Math.sin(angle) });
+  });
+
+  const indexOf = new Map(ids.map((id, index) => [id, index]));
+  const links = graphLinks(graph).map(([a, b]) => [indexOf.get(a), indexOf.get(b)]);
+  const points = ids.map(id => positions.get(id));
+  const ideal = Math.sqrt((GRAPH_WIDTH * GRAPH_HEIGHT) / Math.max(points.length, 1)) * 0.6;
+  let temperature = GRAPH_WIDTH / 10;
+
+  for (let step = 0; step < 150; step++) {
+    const moves = points.map(() => ({ x: 0, y: 0 }));
+
+    // Every pair repels...
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const dx = points[i].x - points[j].x || 0.01;
+        const dy = points[i].y - points[j].y;
+        const distance = Math.max(Math.hypot(dx, dy), 1);
+        const force = (ideal * ideal) / distance;
+        moves[i].x += (dx / distance) * force;
+        moves[i].y += (dy / distance) * force;
+        moves[j].x -= (dx / distance) * force;
+        moves[j].y -= (dy / distance) * force;
+      }
+    }
+
+    // ...and linked items attract
+    for (const [i, j] of links) {
+      if (i === j) continue;
+      const dx = points[i].x - points[j].x;
+      const dy = points[i].y - points[j].y;
+      const distance = Math.max(Math.hypot(dx, dy), 1);
+      const force = (distance * distance) / ideal;
+      moves[i].x -= (dx / distance) * force;
+      moves[i].y -= (dy / distance) * force;
+      moves[j].x += (dx / distance) * force;
+      moves[j].y += (dy / distance) * force;
+    }
+
+    // Move at most `temperature`, drifting to the centre so separate
+    // clusters don't end up pinned to the edges
+    points.forEach((point, index) => {
+      const x = moves[index].x + (GRAPH_WIDTH / 2 - point.x) * GRAPH_GRAVITY;
+      const y = moves[index].y + (GRAPH_HEIGHT / 2 - point.y) * GRAPH_GRAVITY;
+      const length = Math.max(Math.hypot(x, y), 1);
+      const distance = Math.min(length, temperature);
+      point.x = Math.min(GRAPH_WIDTH - GRAPH_MARGIN, Math.max(GRAPH_MARGIN, point.x + (x / length) * distance));
+      point.y = Math.min(GRAPH_HEIGHT - GRAPH_MARGIN, Math.max(GRAPH_MARGIN, point.y + (y / length) * distance));
+    });
+    temperature *= 0.97;
+  }
+
+  return positions;
+}
+
+function svgElement(name, attributes = {}, text = null) {
+  const element = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) element.setAttribute(key, value);
+  if (text !== null) element.textContent = text;
+  return element;
+}
+
+// Path from a to b that bends by `offset` pixels, so parallel edges between
+// the same concepts stay apart; stops short of the target node
+function edgePath(a, b, offset) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.max(Math.hypot(dx, dy), 1);
+  // The curve passes halfway to its control point, so that sits at twice the offset
+  const bend = distance => ({ x: (a.x + b.x) / 2 - (dy / length) * distance, y: (a.y + b.y) / 2 + (dx / length) * distance });
+  const control = bend(offset * 2);
+  const end = { x: b.x - (dx / length) * (NODE_RADIUS + 3), y: b.y - (dy / length) * (NODE_RADIUS + 3) };
+  return { d: `M ${a.x} ${a.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`, mid: bend(offset) };
+}
+
+// Draw the graph into an <svg>. `highlights` comes from ELLM.graphHighlights()
+// for the latest query; `selected` is the concept the lists are filtered to.
+function renderGraph(svg, graph, positions, { highlights = null, selected = null, onSelect = () => {} } = {}) {
+  svg.innerHTML = "";
+  svg.setAttribute("viewBox", `0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`);
+
+  const defs = svgElement("defs");
+  const marker = svgElement("marker", {
+    id: "graph-arrow", viewBox: "0 0 10 10", refX: "9", refY: "5",
+    markerWidth: "6", markerHeight: "6", orient: "auto-start-reverse"
+  });
+  marker.appendChild(svgElement("path", { d: "M 0 0 L 10 5 L 0 10 z", class: "graph__arrow" }));
+  defs.appendChild(marker);
+  svg.appendChild(defs);
+
+  const activeFacts = new Set(highlights ? highlights.facts : []);
+  const activeRules = new Set(highlights ? highlights.rules : []);
+  const activeConcepts = new Set(highlights ? highlights.concepts : []);
+  const touches = concepts => !selected || concepts.includes(selected);
+  const classes = (base, active, concepts) =>
+    [base, active ? "graph--active" : "", touches(concepts) ? "" : "graph--dimmed"].filter(Boolean).join(" ");
+
+  // Rule hubs, drawn first so facts and concepts sit on top
+  for (const rule of graph.rules) {
+    const hub = positions.get(ruleNodeId(rule));
+    const group = svgElement("g", { class: classes("graph__rule", activeRules.has(rule.index), [...rule.inputs, ...rule.outputs]) });
+    group.appendChild(svgElement("title", {}, rule.label));
+    for (const concept of rule.inputs) {
+      const from = positions.get(concept);
+      group.appendChild(svgElement("line", { x1: from.x, y1: from.y, x2: hub.x, y2: hub.y }));
+    }
+    for (const concept of rule.outputs) {
+      group.appendChild(svgElement("path", { d: edgePath(hub, positions.get(concept), 0).d, "marker-end": "url(#graph-arrow)" }));
+    }
+    const size = 7;
+    group.appendChild(svgElement("polygon", {
+      points: `${hub.x},${hub.y - size} ${hub.x + size},${hub.y} ${hub.x},${hub.y + size} ${hub.x - size},${hub.y}`
+    }));
+    svg.appendChild(group);
+  }
+
+  // Facts; parallel edges between the same two concepts fan out
+  const seen = new Map();
+  for (const edge of graph.edges) {
+    const pair = [edge.source, edge.target].sort().join("\u0000");
+    const count = seen.get(pair) || 0;
+    seen.set(pair, count + 1);
+    const offset = count === 0 ? 0 : (count % 2 ? 1 : -1) * Math.ceil(count / 2) * 22;
+
+    const { d, mid } = edgePath(positions.get(edge.source), positions.get(edge.target), offset);
+    const base = edge.negated ? "graph__edge graph__edge--negated" : "graph__edge";
+    const group = svgElement("g", { class: classes(base, activeFacts.has(edge.index), [edge.source, edge.target]) });
+    group.appendChild(svgElement("title", {}, `${edge.source} ${edge.label} ${edge.target}`));
+    group.appendChild(svgElement("path", { d, "marker-end": "url(#graph-arrow)" }));
+    group.appendChild(svgElement("text", { x: mid.x, y: mid.y - 3, "text-anchor": "middle" }, edge.label));
+    svg.appendChild(group);
+  }
+
+  // Concepts; clicking one selects it
+  for (const node of graph.nodes) {
+    const { x, y } = positions.get(node.id);
+    const base = node.id === selected ? "graph__node graph__node--selected" : "graph__node";
+    const group = svgElement("g", { class: classes(base, activeConcepts.has(node.id), [node.id]), tabindex: "0", role: "button" });
+    group.appendChild(svgElement("title", {}, `Show facts and rules about ${node.label}`));
+    group.appendChild(svgElement("circle", { cx: x, cy: y, r: NODE_RADIUS }));
+    group.appendChild(svgElement("text", { x, y: y + NODE_RADIUS + 13, "text-anchor": "middle" }, node.label));
+    group.addEventListener("click", () => onSelect(node.id));
+    group.addEventListener("keydown", event => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        onSelect(node.id);
+      }
+    });
+    svg.appendChild(group);
+  }
+}
@@ -1,4 +1,8 @@
-const ellm = new ELLM();
+const STORAGE_KEY = "ellm.knowledgeBase";
+const QUERY_TIMEOUT_MS = 10000;
+
+// The core runs in a worker; every call returns a promise
+const client = new EllmClient();
 
 const sampleKnowledge = `
 All humans are mortal.
@@ -21,12 +25,41 @@ const knowledgeInput = $("knowledgeInput");
 const learnLog = $("learnLog");
 const factsList = $("facts");
 const rulesList = $("rules");
+const aliasesList = $("aliases");
+const inferredList = $("inferredFacts");
+const showInferredInput = $("showInferred");
 const queryInput = $("queryInput");
 const answerEl = $("answer");
 const parsedEl = $("parsed");
+const confidenceEl = $("confidence");
+const combinationInput = $("confidenceCombination");
 const explanationEl = $("explanation");
+const learnButton = $("learnButton");
+const askButton = $("askButton");
+const cancelButton = $("cancelQuery");
+const queryStatus = $("queryStatus");
+const proofEl = $("proof");
+const graphEl = $("graph");
+const graphStatus = $("graphStatus");
+const conceptFilterEl = $("conceptFilter");
+const baseTabs = $("baseTabs");
+const basesStatus = $("basesStatus");
+const queryScopeEl = $("queryScope");
+const compareLeft = $("compareLeft");
+const compareRight = $("compareRight");
+const compareStatus = $("compareStatus");
+const comparisonEl = $("comparison");
+const mergeLog = $("mergeLog");
+
+let knowledge = null; // Latest data for the knowledge panels
+let askIn = null; // Knowledge bases the next question goes to; the active one when null
+let comparing = false; // Whether the comparison is showing and should follow changes
+let graphPositions = new Map();
+let graphHighlights = null; // Parts of the graph the latest answer used
+let conceptFilter = null; // Concept the lists are filtered to
 
-function renderList(container, items, emptyLabel) {
+// `indices` maps filtered items back to their position in the knowledge base
+function renderList(container, items, emptyLabel, onDelete, indices = null) {
   container.innerHTML = "";
   if (!items.length) {
     const li = document.createElement("li");
@@ -36,33 +69,330 @@ function renderList(container, items, emptyLabel) {
     return;
   }
 
-  items.forEach(item => {
+  items.forEach((item, index) => {
     const li = document.createElement("li");
-    li.textContent = item;
+    const label = document.createElement("span");
+    label.textContent = item;
+    li.appendChild(label);
+
+    if (onDelete) {
+      const button = document.createElement("button");
+      button.className = "delete";
+      button.textContent = "×";
+      button.title = `Forget "${item}"`;
+      button.setAttribute("aria-label", `Forget ${item}`);
+      button.addEventListener("click", () => onDelete(indices ? indices[index] : index));
+      li.appendChild(button);
+    }
     container.appendChild(li);
   });
 }
 
 function renderKnowledge() {
-  const snapshot = ellm.getKnowledgeSummary();
-  renderList(factsList, snapshot.facts, "No facts learned yet.");
-  renderList(rulesList, snapshot.rules, "No rules learned yet.");
+  return client.knowledge()
+    .then(data => {
+      knowledge = data;
+      showKnowledge();
+      // Copy buttons refer to positions, so the comparison must stay current
+      if (comparing) return compareBases();
+    })
+    .catch(err => console.warn("Could not refresh the knowledge panels:", err));
+}
+
+function showKnowledge() {
+  const { summary, graph } = knowledge;
+  renderBases();
+  if (conceptFilter && !graph.nodes.some(node => node.id === conceptFilter)) conceptFilter = null;
+
+  // Clicking a concept in the graph narrows the lists to what mentions it
+  let factIndices = null;
+  let ruleIndices = null;
+  if (conceptFilter) {
+    factIndices = graph.edges
+      .filter(edge => edge.source === conceptFilter || edge.target === conceptFilter)
+      .map(edge => edge.index);
+    ruleIndices = graph.rules
+      .filter(rule => rule.inputs.includes(conceptFilter) || rule.outputs.includes(conceptFilter))
+      .map(rule => rule.index);
+  }
+  conceptFilterEl.hidden = !conceptFilter;
+  $("conceptFilterName").textContent = conceptFilter || "";
+
+  const facts = factIndices ? factIndices.map(index => summary.facts[index]) : summary.facts;
+  const rules = ruleIndices ? ruleIndices.map(index => summary.rules[index]) : summary.rules;
+  renderList(factsList, facts, "No facts learned yet.", index => forgetItem(client.removeFact(index)), factIndices);
+  renderList(rulesList, rules, "No rules learned yet.", index => forgetItem(client.removeRule(index)), ruleIndices);
+  renderList(aliasesList, summary.aliases, "No aliases yet.");
+  renderInferred();
+  drawGraph(graph);
+}
+
+// The graph panel; a highlighted path only lasts until the knowledge changes
+function drawGraph(graph = knowledge.graph) {
+  const items = graph.nodes.length + graph.rules.length;
+  if (items > GRAPH_MAX_ITEMS) {
+    graphEl.innerHTML = "";
+    graphStatus.textContent = `Too many concepts to draw (${items})`;
+    return;
+  }
+  graphStatus.textContent = items ? "Click a concept to filter the lists above" : "Nothing learned yet";
+
+  graphPositions = layoutGraph(graph, graphPositions);
+  renderGraph(graphEl, graph, graphPositions, {
+    highlights: graphHighlights,
+    selected: conceptFilter,
+    onSelect: selectConcept
+  });
+}
+
+// One tab per knowledge base; the lists, graph and Step 1 work on the active one
+function renderBases() {
+  const { names, active } = knowledge.bases;
+  baseTabs.innerHTML = "";
+  names.forEach(name => {
+    const tab = document.createElement("button");
+    tab.className = name === active ? "tab tab--active" : "tab";
+    tab.textContent = name;
+    tab.setAttribute("role", "tab");
+    tab.setAttribute("aria-selected", String(name === active));
+    tab.addEventListener("click", () => {
+      if (name !== active) changeBase(client.selectBase(name));
+    });
+    baseTabs.appendChild(tab);
+  });
+  $("removeBase").hidden = names.length === 1;
+  renderQueryScope(names, active);
+  renderCompareChoices(names, active);
+}
+
+// Ticking more than one knowledge base asks them together
+function renderQueryScope(names, active) {
+  queryScopeEl.hidden = names.length === 1;
+  askIn = askIn ? askIn.filter(name => names.includes(name)) : [];
+  if (!askIn.length) askIn = [active];
+
+  const container = $("queryScopeBases");
+  container.innerHTML = "";
+  names.forEach(name => {
+    const label = document.createElement("label");
+    label.className = "toggle";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = askIn.includes(name);
+    box.addEventListener("change", () => {
+      askIn = names.filter(other => other === name ? box.checked : askIn.includes(other));
+      if (!askIn.length) { // Always ask somewhere
+        askIn = [name];
+        box.checked = true;
+      }
+    });
+    label.append(box, ` ${name}`);
+    container.appendChild(label);
+  });
+}
+
+// Keeps the picked pair while both still exist
+function renderCompareChoices(names, active) {
+  const left = names.includes(compareLeft.value) ? compareLeft.value : active;
+  const right = names.includes(compareRight.value) && compareRight.value !== left
+    ? compareRight.value
+    : names.find(name => name !== left) || left;
+  [[compareLeft, left], [compareRight, right]].forEach(([select, value]) => {
+    select.innerHTML = "";
+    names.forEach(name => select.appendChild(new Option(name, name, false, name === value)));
+  });
+  $("compareButton").disabled = names.length === 1;
+  if (names.length === 1) {
+    comparing = false;
+    comparisonEl.hidden = true;
+    compareStatus.textContent = "Add a second knowledge base to compare it with this one.";
+  } else if (compareStatus.textContent.startsWith("Add a second")) {
+    compareStatus.textContent = "";
+  }
+}
+
+// After creating, selecting or removing a knowledge base: answers and
+// highlights belonged to the one that was active before
+function changeBase(change) {
+  return change
+    .then(() => {
+      askIn = null;
+      conceptFilter = null;
+      graphPositions = new Map();
+      basesStatus.textContent = "";
+      clearAnswer();
+      saveWorkspace();
+      return renderKnowledge();
+    })
+    .catch(err => {
+      basesStatus.textContent = err.message;
+    });
+}
+
+function addBase(event) {
+  event.preventDefault();
+  const input = $("newBaseName");
+  changeBase(client.createBase(input.value)).then(() => {
+    if (!basesStatus.textContent) input.value = "";
+  });
+}
+
+function removeBase() {
+  const { active } = knowledge.bases;
+  if (!confirm(`Remove the knowledge base "${active}" and everything in it?`)) return;
+  changeBase(client.removeBase(active));
+}
+
+function compareBases() {
+  const left = compareLeft.value;
+  const right = compareRight.value;
+  comparing = left !== right;
+  if (!comparing) {
+    comparisonEl.hidden = true;
+    compareStatus.textContent = "Pick two different knowledge bases.";
+    return Promise.resolve();
+  }
+
+  return client.compare(left, right)
+    .then(showComparison)
+    .catch(err => {
+      comparing = false;
+      comparisonEl.hidden = true;
+      compareStatus.textContent = err.message;
+    });
+}
+
+function showComparison({ left, right }) {
+  const same = !left.facts.length && !left.rules.length && !right.facts.length && !right.rules.length;
+  compareStatus.textContent = same ? `${left.name} and ${right.name} hold the same facts and rules.` : "";
+  comparisonEl.hidden = same;
+  renderDifference(left, right.name, $("onlyLeft"), $("onlyLeftTitle"), $("mergeLeft"));
+  renderDifference(right, left.name, $("onlyRight"), $("onlyRightTitle"), $("mergeRight"));
+}
+
+// What one side has and the other lacks, each item copyable on its own
+function renderDifference(side, target, list, title, mergeButton) {
+  const items = [
+    ...side.facts.map(item => ({ ...item, kind: "facts" })),
+    ...side.rules.map(item => ({ ...item, kind: "rules" }))
+  ];
+  title.textContent = `Only in ${side.name}`;
+  mergeButton.textContent = `Merge all into ${target}`;
+  mergeButton.hidden = !items.length;
+  mergeButton.onclick = () => mergeBases(side.name, target);
+
+  list.innerHTML = "";
+  if (!items.length) {
+    const li = document.createElement("li");
+    li.className = "muted";
+    li.textContent = "Nothing else.";
+    list.appendChild(li);
+    return;
+  }
+
+  items.forEach(item => {
+    const li = document.createElement("li");
+    const label = document.createElement("span");
+    label.textContent = item.kind === "rules" ? `Rule: ${item.text}` : item.text;
+    li.appendChild(label);
+
+    const button = document.createElement("button");
+    button.className = "copy";
+    button.textContent = "Copy";
+    button.title = `Copy "${item.text}" into ${target}`;
+    button.addEventListener("click", () => mergeBases(side.name, target, { [item.kind]: [item.index] }));
+    li.appendChild(button);
+    list.appendChild(li);
+  });
+}
+
+function mergeBases(from, into, selection) {
+  client.merge(from, into, selection)
+    .then(results => {
+      renderLog(mergeLog, results.length ? results : ["Nothing to merge."]);
+      mergeLog.hidden = false;
+      graphHighlights = null;
+      saveWorkspace();
+      return renderKnowledge();
+    })
+    .catch(err => {
+      renderLog(mergeLog, [`Could not merge: ${err.message}`]);
+      mergeLog.hidden = false;
+    });
+}
+
+function selectConcept(concept) {
+  conceptFilter = conceptFilter === concept ? null : concept;
+  showKnowledge();
+}
+
+// Derived facts from forward chaining; hovering one shows how it was derived
+function renderInferred() {
+  inferredList.hidden = !knowledge.forwardChaining;
+  if (!knowledge.forwardChaining) return;
+
+  const { inferred } = knowledge;
+  const labels = inferred.map(item =>
+    item.confidence < 1 ? `${item.fact} (${formatConfidence(item.confidence)})` : item.fact
+  );
+  renderList(inferredList, labels, "Nothing else follows yet.");
+  if (inferred.length) {
+    Array.from(inferredList.children).forEach((li, index) => {
+      li.title = inferred[index].explanation;
+    });
+  }
+}
+
+function changeCombination() {
+  client.configure({ combination: combinationInput.value }).then(() => {
+    renderKnowledge();
+    if (queryInput.value.trim()) askQuestion();
+  });
+}
+
+function toggleInferred() {
+  client.configure({ forwardChaining: showInferredInput.checked }).then(renderKnowledge);
+}
+
+function forgetItem(removal) {
+  removal.then(removed => {
+    if (removed) {
+      graphHighlights = null;
+      saveWorkspace();
+      renderKnowledge();
+    }
+  });
 }
 
 function renderLearnResults(results) {
-  learnLog.innerHTML = "";
   if (!results.length) {
     learnLog.textContent = "Enter facts or rules for ELLM to learn.";
     return;
   }
+  renderLog(learnLog, results);
+}
 
+function renderLog(log, results) {
+  log.innerHTML = "";
   results.forEach(line => {
     const div = document.createElement("div");
     div.textContent = line;
-    learnLog.appendChild(div);
+    // Warnings and notes follow the statement that caused the conflict
+    if (line.startsWith("Warning:") || line.startsWith("Note:")) {
+      div.className = line.startsWith("Note:") ? "log__note" : "log__warning";
+      const flagged = log.lastElementChild;
+      if (flagged && !flagged.className) flagged.className = "log__flagged";
+    }
+    log.appendChild(div);
   });
 }
 
+function checkConsistency() {
+  client.consistency().then(conflicts => renderLearnResults(conflicts.length
+    ? conflicts.map(conflict => `${conflict.kind === "exception" ? "Note" : "Warning"}: ${conflict.explanation}`)
+    : ["No conflicts found."]));
+}
+
 function learnFromText() {
   const text = knowledgeInput.value.trim();
   if (!text) {
@@ -70,35 +400,216 @@ function learnFromText() {
     return;
   }
 
-  const results = ellm.learn(text);
-  renderLearnResults(results);
-  renderKnowledge();
+  // Large texts take a while; the page stays usable meanwhile
+  learnButton.disabled = true;
+  learnLog.textContent = "Learning…";
+  client.learn(text)
+    .then(results => {
+      graphHighlights = null;
+      saveWorkspace();
+      renderLearnResults(results);
+      renderKnowledge();
+    })
+    .catch(err => renderLearnResults([`Could not learn: ${err.message}`]))
+    .finally(() => {
+      learnButton.disabled = false;
+    });
+}
+
+// Run the text as a scenario ("expect: Q -> A" lines) against a fresh ELLM,
+// leaving the workspace untouched
+function runScenario() {
+  const text = knowledgeInput.value.trim();
+  if (!text) {
+    renderLearnResults(["Please enter a scenario with statements and expect: lines."]);
+    return;
+  }
+
+  client.runScenario(text)
+    .then(report => {
+      learnLog.innerHTML = "";
+      Scenario.formatReport(report).forEach(line => {
+        const div = document.createElement("div");
+        div.textContent = line.trim();
+        if (line.startsWith("FAIL")) div.className = "log__flagged";
+        else if (line.startsWith("  ")) div.className = "log__warning";
+        else if (line.startsWith("PASS")) div.className = "log__pass";
+        learnLog.appendChild(div);
+      });
+    })
+    .catch(err => renderLearnResults([err.message]));
 }
 
 function askQuestion() {
+  if (askButton.disabled) return; // One question at a time
   const question = queryInput.value.trim();
   if (!question) {
     answerEl.textContent = "—";
+    confidenceEl.textContent = "—";
     parsedEl.textContent = "Please provide a question.";
     explanationEl.textContent = "Type a question like 'Is Socrates mortal?'";
     return;
   }
 
-  const result = ellm.query(question);
-  answerEl.textContent = result.answer;
-  parsedEl.textContent = result.parsedQuery || "Could not parse";
-  explanationEl.textContent = result.explanation;
+  // Progress and Cancel only make sense while the worker answers in the background
+  askButton.disabled = true;
+  cancelButton.hidden = !client.inWorker;
+  queryStatus.textContent = "Thinking…";
+  const onProgress = explored => {
+    queryStatus.textContent = `Thinking… ${explored} subgoals explored`;
+  };
+
+  client.query(question, { timeout: QUERY_TIMEOUT_MS, bases: askIn, onProgress })
+    .then(result => {
+      answerEl.textContent = result.answer;
+      confidenceEl.textContent = typeof result.confidence === "number" ? formatConfidence(result.confidence) : "—";
+      parsedEl.textContent = result.parsedQuery || "Could not parse";
+      queryStatus.textContent = `${result.explored} subgoals explored`;
+      renderExplanation(result);
+      graphHighlights = result.highlights;
+      drawGraph();
+    })
+    .catch(err => {
+      answerEl.textContent = "—";
+      confidenceEl.textContent = "—";
+      parsedEl.textContent = "—";
+      queryStatus.textContent = "";
+      explanationEl.textContent = err.timedOut
+        ? `${err.message}. Try a narrower question.`
+        : `${err.message}.`;
+      proofEl.innerHTML = "";
+    })
+    .finally(() => {
+      askButton.disabled = false;
+      cancelButton.hidden = true;
+    });
+}
+
+function renderExplanation(result) {
+  proofEl.innerHTML = "";
+  if (result.parts) {
+    // Compound questions explain each part on its own line
+    explanationEl.innerHTML = "";
+    result.parts.forEach(part => {
+      const div = document.createElement("div");
+      const confidence = typeof part.confidence === "number" ? ` (${formatConfidence(part.confidence)})` : "";
+      div.textContent = `${part.query}: ${part.answer}${confidence} — ${part.explanation}`;
+      explanationEl.appendChild(div);
+    });
+    proofEl.appendChild(renderProofNode(result.proof));
+    return;
+  }
+
+  if (!result.answers || !result.answers.length) {
+    explanationEl.textContent = result.explanation;
+    if (result.proof) {
+      proofEl.appendChild(renderProofNode(result.proof));
+    }
+    if (result.whyNot) {
+      proofEl.appendChild(renderWhyNot(result.whyNot));
+    }
+    return;
+  }
+
+  // Open questions list one explanation per answer
+  explanationEl.innerHTML = "";
+  result.answers.forEach(found => {
+    const div = document.createElement("div");
+    div.textContent = `${found.answer} (${formatConfidence(found.confidence)}): ${found.explanation}`;
+    explanationEl.appendChild(div);
+    proofEl.appendChild(renderProofNode(found.proof));
+  });
+}
+
+function formatConfidence(confidence) {
+  return String(Number(confidence.toFixed(3)));
+}
+
+// Every step that holds shows how confident it is
+function confidenceBadge(node) {
+  const badge = document.createElement("span");
+  badge.className = "proof__confidence";
+  badge.textContent = formatConfidence(node.confidence);
+  return badge;
+}
+
+function hasConfidence(node) {
+  return typeof node.confidence === "number" && !["failure", "circular", "limit"].includes(node.type);
+}
+
+// Expandable outline of a proof tree; leaves are plain list items
+function renderProofNode(node) {
+  const { label } = node;
+  if (!node.children.length) {
+    const div = document.createElement("div");
+    div.className = `proof__leaf proof--${node.type}`;
+    div.textContent = label;
+    if (hasConfidence(node)) div.appendChild(confidenceBadge(node));
+    return div;
+  }
+
+  const details = document.createElement("details");
+  details.className = `proof--${node.type}`;
+  details.open = true;
+  const summary = document.createElement("summary");
+  summary.textContent = label;
+  if (hasConfidence(node)) summary.appendChild(confidenceBadge(node));
+  details.appendChild(summary);
+  node.children.forEach(child => details.appendChild(renderProofNode(child)));
+  return details;
+}
+
+// What was tried for an unanswered question and which facts would settle it
+function renderWhyNot(whyNot) {
+  const section = document.createElement("div");
+  section.className = "why-not";
+
+  const heading = document.createElement("p");
+  heading.className = "label";
+  heading.textContent = "Why not?";
+  section.appendChild(heading);
+
+  const tried = document.createElement("ul");
+  whyNot.attempts.forEach(attempt => {
+    const li = document.createElement("li");
+    li.textContent = `${attempt.via} — missing ${attempt.missing.join(" and ") || "nothing"}`;
+    tried.appendChild(li);
+  });
+  if (!whyNot.attempts.length) {
+    const li = document.createElement("li");
+    li.textContent = "No rule or relation could produce this.";
+    tried.appendChild(li);
+  }
+  section.appendChild(tried);
+
+  const suggestion = document.createElement("p");
+  suggestion.className = "why-not__suggestion";
+  suggestion.textContent = `Learn ${whyNot.suggestions.map(facts => facts.join(" and ")).join(", or ")} to make it true.`;
+  section.appendChild(suggestion);
+  return section;
 }
 
+// Empties the active knowledge base; the others stay as they are
 function resetWorkspace() {
-  ellm.reset();
+  client.reset().then(() => {
+    saveWorkspace();
+    renderKnowledge();
+  });
+  conceptFilter = null;
   knowledgeInput.value = "";
   queryInput.value = "";
   renderLearnResults([]);
-  renderKnowledge();
+  clearAnswer();
+}
+
+function clearAnswer() {
+  graphHighlights = null;
+  queryStatus.textContent = "";
   answerEl.textContent = "—";
+  confidenceEl.textContent = "—";
   parsedEl.textContent = "—";
   explanationEl.textContent = "Teach ELLM and ask something to see the reasoning steps.";
+  proofEl.innerHTML = "";
 }
 
 function loadSample() {
@@ -108,11 +619,74 @@ function loadSample() {
   queryInput.value = "Is Socrates mortal?";
 }
 
+// Autosave every knowledge base so a reload picks up where the user left off
+// (the workspace is also what the worker is rebuilt from after a cancel)
+function saveWorkspace() {
+  return client.workspace()
+    .then(workspace => localStorage.setItem(STORAGE_KEY, JSON.stringify(workspace)))
+    .catch(err => console.warn("Could not save the knowledge bases:", err));
+}
+
+function restoreWorkspace() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(STORAGE_KEY);
+  } catch (err) {
+    console.warn("Could not read the saved knowledge bases:", err);
+  }
+  const settings = { forwardChaining: showInferredInput.checked, combination: combinationInput.value };
+  // Pages saved before there were several knowledge bases kept one snapshot
+  const restored = saved
+    ? client.loadWorkspace(saved).catch(err => console.warn("Ignoring the saved knowledge bases:", err))
+    : Promise.resolve();
+  return restored.then(() => client.configure(settings));
+}
+
+function downloadSnapshot() {
+  client.snapshot().then(snapshot => {
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "ellm-knowledge.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+}
+
+function loadSnapshotFile(event) {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) return;
+
+  file.text()
+    .then(text => client.load(text))
+    .then(() => {
+      graphHighlights = null;
+      saveWorkspace();
+      renderLearnResults([`Loaded snapshot: ${file.name}`]);
+      renderKnowledge();
+    })
+    .catch(err => renderLearnResults([`Could not load snapshot: ${err.message}`]));
+}
+
 function wireEvents() {
-  $("learnButton").addEventListener("click", learnFromText);
-  $("askButton").addEventListener("click", askQuestion);
+  learnButton.addEventListener("click", learnFromText);
+  askButton.addEventListener("click", askQuestion);
+  cancelButton.addEventListener("click", () => client.cancel());
+  $("checkConsistency").addEventListener("click", checkConsistency);
+  $("runScenario").addEventListener("click", runScenario);
+  $("clearFilter").addEventListener("click", () => selectConcept(conceptFilter));
   $("resetEllm").addEventListener("click", resetWorkspace);
   $("loadSample").addEventListener("click", loadSample);
+  $("downloadSnapshot").addEventListener("click", downloadSnapshot);
+  $("loadSnapshot").addEventListener("click", () => $("snapshotFile").click());
+  $("snapshotFile").addEventListener("change", loadSnapshotFile);
+  $("addBaseForm").addEventListener("submit", addBase);
+  $("removeBase").addEventListener("click", removeBase);
+  $("compareButton").addEventListener("click", compareBases);
+  showInferredInput.addEventListener("change", toggleInferred);
+  combinationInput.addEventListener("change", changeCombination);
   queryInput.addEventListener("keydown", (event) => {
     if (event.key === "Enter") {
       event.preventDefault();
@@ -123,6 +697,6 @@ function wireEvents() {
 
 document.addEventListener("DOMContentLoaded", () => {
   wireEvents();
-  renderKnowledge();
   renderLearnResults([]);
+  restoreWorkspace().then(renderKnowledge);
 });
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+// ELLM command line: learn from files, then answer questions given as
+// options or read from stdin, interactively or in batch
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { ELLM, Scenario, MAX_DEPTH, RDF_NAMESPACE } = require("../ELLM website/ellm-core.js");
+
+const USAGE = `Usage: ellm [options] [file...]
+
+Learns every text file given (Turtle .ttl and N-Triples .nt files are
+imported as RDF, .pl files as Prolog), then reads stdin line by line: questions
+(ending in "?") are answered and anything else is learned. A terminal gets an interactive prompt;
+piped input is answered in batch.
+
+Options:
+  -t, --test              Run the files as scenarios ("expect: Q -> A" lines) and
+                          exit with status 1 if any expectation fails
+  -q, --question <text>   Ask a question instead of reading stdin (repeatable)
+  -e, --explain           Print the reasoning behind every answer
+  -s, --summary           Print the knowledge summary at the end
+  -f, --forward           Turn on forward chaining, so the summary lists inferred facts
+  -c, --combine <scheme>  Combine confidences by "product" (default) or "minimum"
+  -d, --max-depth <n>     Give up on subgoals nested deeper than n (default 500,
+                          at most ${MAX_DEPTH})
+      --load <file>       Start from a saved snapshot
+      --save <file>       Write a snapshot at the end
+      --export <file>     Write the knowledge at the end as Turtle, N-Triples or
+                          Prolog by the extension (.ttl, .nt, .pl)
+      --prefix <p=iri>    Use the prefix p for iri in RDF (repeatable)
+      --namespace <iri>   Namespace of exported concepts (default ${RDF_NAMESPACE})
+  -h, --help              Show this help
+
+Interactive commands: :summary, :save <file>, :export <file>, :reset, :help, :quit`;
+
+const COMMANDS_HELP = `Type a statement to learn it or a question to ask it.
+  :summary        Show the knowledge summary
+  :save <file>    Write a snapshot
+  :export <file>  Write the knowledge as Turtle (.ttl), N-Triples (.nt) or
+                  Prolog (.pl)
+  :reset          Forget everything
+  :quit           Leave`;
+
+const FLAGS = {
+  "-e": "explain", "--explain": "explain",
+  "-s": "summary", "--summary": "summary",
+  "-f": "forward", "--forward": "forward",
+  "-t": "test", "--test": "test",
+  "-h": "help", "--help": "help"
+};
+
+const VALUE_OPTIONS = {
+  "-q": "questions", "--question": "questions",
+  "-c": "combination", "--combine": "combination",
+  "-d": "maxDepth", "--max-depth": "maxDepth",
+  "--load": "load",
+  "--save": "save",
+  "--export": "export",
+  "--prefix": "prefixes",
+  "--namespace": "namespace"
+};
+
+// Import and export formats by file extension
+const FORMATS = { ".ttl": "turtle", ".nt": "ntriples", ".pl": "prolog" };
+
+function fileFormat(file) {
+  return FORMATS[path.extname(file).toLowerCase()] || null;
+}
+
+// Options and input files from the arguments; throws on anything unknown
+function parseArgs(args) {
+  const options = {
+    files: [],
+    questions: [],
+    explain: false,
+    summary: false,
+    forward: false,
+    test: false,
+    help: false,
+    combination: "product",
+    maxDepth: null,
+    load: null,
+    save: null,
+    export: null,
+    prefixes: [],
+    namespace: RDF_NAMESPACE
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (FLAGS[arg]) {
+      options[FLAGS[arg]] = true;
+    } else if (VALUE_OPTIONS[arg]) {
+      const value = args[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+      const key = VALUE_OPTIONS[arg];
+      if (Array.isArray(options[key])) options[key].push(value);
+      else options[key] = value;
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw new Error(`unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+function formatConfidence(confidence) {
+  return String(Number(confidence.toFixed(3)));
+}
+
+// "Is Socrates mortal? -> Yes", with the score when it is below 1 and the
+// reasoning indented underneath when asked for
+function formatAnswer(question, result, explain) {
+  const scored = typeof result.confidence === "number" && result.confidence < 1;
+  const lines = [`${question} -> ${result.answer}${scored ? ` (${formatConfidence(result.confidence)})` : ""}`];
+  if (explain) {
+    lines.push(...result.explanation.split("\n").map(line => `  ${line}`));
+  }
+  return lines.join("\n");
+}
+
+// Print the answer to a question. A question the reasoner gives up on (a
+// time limit, a stack overflow) is reported and marks the run as failed,
+// but does not end it.
+function ask(ellm, question, options) {
+  try {
+    console.log(formatAnswer(question, ellm.query(question), options.explain));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+function formatSummary(summary) {
+  const sections = [
+    ["Facts", summary.facts],
+    ["Rules", summary.rules],
+    ["Inferred", summary.inferred],
+    ["Aliases", summary.aliases]
+  ];
+  return sections
+    .filter(([title, items]) => items.length || title === "Facts" || title === "Rules")
+    .map(([title, items]) => [`${title}:`, ...(items.length ? items.map(item => `  - ${item}`) : ["  (none)"])].join("\n"))
+    .join("\n");
+}
+
+// RdfTranslator options from --prefix and --namespace
+function rdfOptions(options) {
+  const prefixes = {};
+  for (const binding of options.prefixes) {
+    const match = binding.match(/^([A-Za-z][\w.-]*)?=(.+)$/);
+    if (!match) throw new Error(`--prefix needs name=iri, not "${binding}"`);
+    prefixes[match[1] || ""] = match[2];
+  }
+  return { prefixes, namespace: options.namespace };
+}
+
+function exportFile(ellm, file, options) {
+  const format = fileFormat(file);
+  if (format === "prolog") {
+    fs.writeFileSync(file, ellm.exportProlog());
+    return `Exported Prolog: ${file}`;
+  }
+  fs.writeFileSync(file, ellm.exportRdf({ format, ...options.rdf }));
+  return `Exported RDF: ${file}`;
+}
+
+function saveSnapshot(ellm, file) {
+  fs.writeFileSync(file, JSON.stringify(ellm, null, 2));
+  return `Saved snapshot: ${file}`;
+}
+
+// Run a save or export, reporting a failed write like a failed read so an
+// interactive session carries on
+function writeReported(write) {
+  try {
+    write();
+  } catch (err) {
+    console.error(`ellm: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Learn a text file or import an RDF or Prolog one; only the lines that
+// need attention are reported
+function learnFile(ellm, file, options) {
+  const text = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+  const format = fileFormat(file);
+  const results = format === "prolog" ? ellm.importProlog(text)
+    : format ? ellm.importRdf(text, options.rdf)
+      : ellm.learn(text);
+  for (const line of results) {
+    if (/^(Failed|Warning|Note|Skipped)/.test(line)) console.error(`${file}: ${line}`);
+  }
+}
+
+// Handle one line of input: a command, a question or statements to learn.
+// Returns false when the session should end.
+function handleLine(ellm, line, options) {
+  const input = line.trim();
+  if (!input || input.startsWith("#")) return true;
+
+  if (input.startsWith(":")) {
+    const [command, ...rest] = input.slice(1).split(/\s+/);
+    switch (command) {
+      case "quit":
+      case "exit":
+        return false;
+      case "summary":
+        console.log(formatSummary(ellm.getKnowledgeSummary()));
+        break;
+      case "save":
+        if (!rest.length) console.log("Usage: :save <file>");
+        else writeReported(() => console.log(saveSnapshot(ellm, rest.join(" "))));
+        break;
+      case "export": {
+        const file = rest.join(" ");
+        if (!fileFormat(file)) console.log("Usage: :export <file.ttl|file.nt|file.pl>");
+        else writeReported(() => console.log(exportFile(ellm, file, options)));
+        break;
+      }
+      case "reset":
+        ellm.reset();
+        console.log("Knowledge base cleared.");
+        break;
+      case "help":
+        console.log(COMMANDS_HELP);
+        break;
+      default:
+        console.log(`Unknown command :${command} (try :help)`);
+    }
+    return true;
+  }
+
+  if (input.endsWith("?")) {
+    ask(ellm, input, options);
+  } else {
+    ellm.learn(input).forEach(result => console.log(result));
+  }
+  return true;
+}
+
+// Run scenario files headless; returns the number of failed checks
+function runScenarios(files) {
+  let failed = 0;
+  for (const file of files) {
+    const report = Scenario.parse(fs.readFileSync(file, "utf8"), file).run();
+    console.log(Scenario.formatReport(report).join("\n"));
+    failed += report.failed;
+  }
+  return failed;
+}
+
+function finish(ellm, options) {
+  if (options.summary) console.log(formatSummary(ellm.getKnowledgeSummary()));
+  if (options.save) writeReported(() => console.error(saveSnapshot(ellm, options.save)));
+  if (options.export) writeReported(() => console.error(exportFile(ellm, options.export, options)));
+}
+
+function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (err) {
+    console.error(`ellm: ${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (options.test) {
+    try {
+      if (runScenarios(options.files)) process.exitCode = 1;
+    } catch (err) {
+      console.error(`ellm: ${err.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  let ellm;
+  try {
+    ellm = options.load ? ELLM.fromJSON(fs.readFileSync(options.load, "utf8")) : new ELLM();
+    if (!ellm.setConfidenceCombination(options.combination)) {
+      throw new Error(`unknown confidence scheme "${options.combination}"`);
+    }
+    if (options.maxDepth !== null && !ellm.setMaxDepth(Number(options.maxDepth))) {
+      throw new Error(`--max-depth needs a whole number from 1 to ${MAX_DEPTH}, not "${options.maxDepth}"`);
+    }
+    options.rdf = rdfOptions(options);
+    if (options.export && !fileFormat(options.export)) {
+      throw new Error(`--export needs a .ttl, .nt or .pl file, not "${options.export}"`);
+    }
+    ellm.setForwardChaining(options.forward);
+    options.files.forEach(file => learnFile(ellm, file, options));
+  } catch (err) {
+    console.error(`ellm: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.questions.length) {
+    options.questions.forEach(question => ask(ellm, question, options));
+    finish(ellm, options);
+    return;
+  }
+
+  // Stdin was already consumed as a file ("-"), so there is nothing to ask
+  if (options.files.includes("-")) {
+    finish(ellm, options);
+    return;
+  }
+
+  const interactive = Boolean(process.stdin.isTTY);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: interactive });
+  if (interactive) {
+    console.log('ELLM ready. Type a statement to learn, a question to ask, or ":help".');
+    rl.setPrompt("ellm> ");
+    rl.prompt();
+  }
+
+  rl.on("line", line => {
+    if (!handleLine(ellm, line, options)) {
+      rl.close();
+      return;
+    }
+    if (interactive) rl.prompt();
+  });
+  rl.on("close", () => finish(ellm, options));
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,26 @@
+// ES module entry point: re-exports the CommonJS build of the ELLM core
+import core from "./ELLM website/ellm-core.js";
+
+export const {
+  ELLM,
+  Fact,
+  Rule,
+  PrimeCalculator,
+  RelationRegistry,
+  ConceptEncoder,
+  KnowledgeBase,
+  ReasoningEngine,
+  ForwardChainer,
+  LanguageProcessor,
+  Scenario,
+  RdfTranslator,
+  PrologTranslator,
+  QueryTimeoutError,
+  MAX_DEPTH,
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  RDF_NAMESPACE,
+  RDF_PREFIXES
+} = core;
+
+export default core;
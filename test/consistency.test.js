@@ -0,0 +1,65 @@
+// Conflict checks: without forward chaining the known negatives are set
+// against their positives, which must find what saturation finds
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ELLM } = require("..");
+
+const KNOWLEDGE = [
+  "All birds can fly. Penguins are birds. Penguins cannot fly. Tweety is a penguin.",
+  "Socrates is human. Socrates is not human.",
+  "All humans are mortal. Socrates is human. Socrates is not mortal.",
+  "If X is a penguin, then X cannot fly. All birds can fly. Pingu is a penguin. Pingu is a bird.",
+  "Located in is transitive. Paris is located in France. France is located in Europe. Paris is not located in Europe.",
+  "Parent of is the inverse of child of. Ann is parent of Bob. Bob is not child of Ann."
+];
+
+function conflicts(text, forwardChaining) {
+  const ellm = new ELLM();
+  ellm.setForwardChaining(forwardChaining);
+  ellm.learn(text);
+  return ellm.checkConsistency().map(({ kind, fact }) => `${kind}: ${fact}`).sort();
+}
+
+test("the same conflicts are found with and without forward chaining", () => {
+  for (const text of KNOWLEDGE) {
+    assert.deepEqual(conflicts(text, false), conflicts(text, true), text);
+  }
+  assert.deepEqual(conflicts(KNOWLEDGE[0], false), ["exception: penguin can fly", "exception: tweety can fly"]);
+});
+
+test("learning warns about the statement that caused the conflict", () => {
+  const ellm = new ELLM();
+  ellm.learn("Penguins cannot fly. Tweety is a penguin.");
+  const results = ellm.learn("Tweety can fly.");
+
+  assert.equal(results.length, 2);
+  assert.equal(results[1], 'Warning: "Tweety can fly" leads to a conflict: "Tweety can fly" is stated, ' +
+    'but "Tweety is a penguin" and "Penguins cannot fly" mean tweety cannot fly');
+});
+
+test("an inherited negative that wins is noted as an exception, in words", () => {
+  const ellm = new ELLM();
+  const results = ellm.learn(KNOWLEDGE[0]);
+
+  assert.equal(ellm.query("Can Tweety fly?").answer, "No");
+  assert.ok(!results.some(line => line.startsWith("Warning")), results.join("\n"));
+  assert.ok(results.includes(
+    'Note: "Tweety is a penguin" is an exception: "Tweety is a penguin" and "Penguins cannot fly" ' +
+    'mean tweety cannot fly, an exception to "All birds can fly" and "Penguins are birds"'
+  ));
+  assert.deepEqual(conflicts(KNOWLEDGE[1], false), ["contradiction: socrates is human"]);
+  assert.equal(new ELLM().learn(KNOWLEDGE[1])[2],
+    'Warning: "Socrates is not human" leads to a conflict: "Socrates is human" and "Socrates is not human" are both stated');
+});
+
+test("knowledge without negatives is not saturated on every learn", () => {
+  const ellm = new ELLM();
+  ellm.learn("Part of is transitive.");
+  const chain = Array.from({ length: 300 }, (_, index) => `Part${index} is part of part${index + 1}.`);
+
+  const started = Date.now();
+  ellm.learn(chain.join("\n"));
+  ellm.learn("Part300 is part of part301.");
+  assert.ok(Date.now() - started < 2000, `learning took ${Date.now() - started} ms`);
+  assert.equal(ellm.query("Is part0 part of part301?").answer, "Yes");
+});
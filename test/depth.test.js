@@ -0,0 +1,33 @@
+// Depth limit: subgoals nest as plain recursion, so the limit is capped
+// where a long chain still fits the stack, and running into it gives an
+// answer rather than a stack overflow
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ELLM, MAX_DEPTH } = require("..");
+
+function chain(links) {
+  const ellm = new ELLM();
+  ellm.learn(Array.from({ length: links }, (_, i) => `node${i} is part of node${i + 1}.`).join("\n"));
+  return ellm;
+}
+
+test("the depth limit takes whole numbers from 1 to MAX_DEPTH", () => {
+  const ellm = new ELLM();
+  for (const depth of [0, -5, 2.5, MAX_DEPTH + 1, 2000]) {
+    assert.equal(ellm.setMaxDepth(depth), false, String(depth));
+  }
+  assert.equal(ellm.reasoner.maxDepth, 500);
+  assert.equal(ellm.setMaxDepth(MAX_DEPTH), true);
+  assert.equal(ellm.reasoner.maxDepth, MAX_DEPTH);
+});
+
+test("a chain far longer than the limit stops at the limit", () => {
+  const ellm = chain(3000);
+  ellm.setMaxDepth(MAX_DEPTH);
+
+  const result = ellm.query("Is node0 part of nowhere?");
+  assert.equal(result.answer, "Unknown");
+  assert.match(result.explanation, /^Depth limit reached: node0 part of nowhere/);
+  assert.equal(ellm.query("Is node5 part of node1 and is node0 part of nowhere?").answer, "Unknown");
+  assert.equal(ellm.query("Is node0 part of node400?").answer, "Yes");
+});
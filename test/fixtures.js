@@ -0,0 +1,57 @@
+// The round trip every export format is held to: learn KNOWLEDGE, write
+// it out, read it back and compare the answers to QUESTIONS. Each format's
+// test file adds what only that format carries.
+const { ELLM } = require("..");
+
+// Something of every kind the exports carry: facts, negations, universal
+// and hedged rules, relation declarations and aliases
+const KNOWLEDGE = `
+All humans are mortal.
+Socrates is human.
+All birds can fly.
+Penguins are birds.
+Penguins cannot fly.
+Birds usually sing (0.9).
+Probably Alice likes Bob.
+The engine is part of the car.
+Located in is transitive.
+Married to is symmetric.
+Parent of is the inverse of child of.
+Owns is a relation.
+Automobile means car.
+Paris is located in France.
+France is located in Europe.
+`;
+
+const QUESTIONS = [
+  "Is Socrates mortal?",
+  "Can penguins fly?",
+  "Can birds sing?",
+  "Does Alice like Bob?",
+  "Is the engine part of the automobile?",
+  "Is Paris located in Europe?",
+  "What is part of the car?"
+];
+
+function learned(text = KNOWLEDGE) {
+  const ellm = new ELLM();
+  ellm.learn(text);
+  return ellm;
+}
+
+// A fresh ELLM that read `text` through an import method, e.g. "importRdf"
+function imported(method, text, options) {
+  const ellm = new ELLM();
+  ellm[method](text, options);
+  return ellm;
+}
+
+// Every answer with its confidence, for comparing two ELLMs
+function answers(ellm, questions = QUESTIONS) {
+  return questions.map(question => {
+    const { answer, confidence } = ellm.query(question);
+    return `${question} ${answer} ${confidence ?? ""}`;
+  });
+}
+
+module.exports = { KNOWLEDGE, QUESTIONS, learned, imported, answers };
@@ -0,0 +1,58 @@
+// Forward chaining: saturation must derive exactly what backward chaining
+// proves, so the inferred list and conflict checks agree with query()
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ELLM, Fact } = require("..");
+
+const KNOWLEDGE = [
+  "All mammals are animals. All animals are creatures. Rex is a mammal.",
+  "All birds can fly. Penguins are birds. Penguins cannot fly. Tweety is a penguin. Robin is a bird.",
+  "All humans are mortal. Socrates is human. Birds usually sing (0.9). Tweety is a bird (0.8).",
+  "Located in is transitive. Paris is located in France. France is located in Europe.",
+  "Parent of is the inverse of child of. Alice is parent of Bob. Married to is symmetric. Ann is married to Ben.",
+  "If X teaches Y and Z likes Y, then Z likes X. Bob teaches chess. Carol likes chess."
+];
+
+function learned(text, forwardChaining) {
+  const ellm = new ELLM();
+  ellm.setForwardChaining(forwardChaining);
+  ellm.learn(text);
+  return ellm;
+}
+
+// Every fact over the concepts and predicates of `ellm`, either way round
+function candidates(ellm) {
+  const concepts = Array.from(ellm.encoder.conceptToPrime.keys());
+  const predicates = new Set(["is", "can"]);
+  ellm.kb.facts.forEach(fact => predicates.add(fact.predicate));
+  ellm.relations.names().forEach(name => predicates.add(name));
+  const facts = [];
+  for (const subject of concepts) {
+    for (const predicate of predicates) {
+      for (const object of concepts) {
+        if (subject !== object) facts.push(new Fact(subject, predicate, object), new Fact(subject, predicate, object, true));
+      }
+    }
+  }
+  return facts;
+}
+
+test("saturation derives what backward chaining proves, and nothing else", () => {
+  for (const text of KNOWLEDGE) {
+    const backward = learned(text, false);
+    const forward = learned(text, true);
+    const proved = candidates(backward)
+      .filter(fact => !backward.kb.hasFact(fact) && backward.reasoner.deduce(backward.kb, fact).result)
+      .map(String)
+      .sort();
+    const inferred = forward.getInferredFacts().map(({ fact }) => fact).sort();
+    assert.deepEqual(inferred, proved, text);
+  }
+});
+
+test("a category has what its rules give its members", () => {
+  const inferred = learned(KNOWLEDGE[0], true).getInferredFacts().map(({ fact }) => fact);
+  for (const fact of ["mammal is animal", "mammal is creature", "animal is creature", "rex is creature"]) {
+    assert.ok(inferred.includes(fact), fact);
+  }
+});
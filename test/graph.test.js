@@ -0,0 +1,82 @@
+// Knowledge graph: concepts are nodes, facts are edges and rules are hubs
+// between the concepts they read and write. Edges and hubs carry the index
+// the fact and rule lists use, which the page's × buttons delete by.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ELLM } = require("..");
+
+const KNOWLEDGE = `
+Alice likes Bob.
+All humans are mortal.
+Socrates is human.
+Penguins cannot fly.
+If X teaches Y and Z likes Y, then Z likes X.
+Bob teaches chess.
+Carol likes chess.
+Plato is human.
+`;
+
+function learned(text = KNOWLEDGE) {
+  const ellm = new ELLM();
+  ellm.learn(text);
+  return ellm;
+}
+
+test("facts become edges and rules become hubs, by list index", () => {
+  const ellm = learned();
+  const { nodes, edges, rules } = ellm.getKnowledgeGraph();
+  const { facts: factList, rules: ruleList } = ellm.getKnowledgeSummary();
+
+  assert.deepEqual(nodes.map(node => node.id).sort(),
+    ["alice", "bob", "carol", "chess", "fly", "human", "mortal", "penguin", "plato", "socrates"]);
+  assert.deepEqual(edges.map(({ index, source, label, target }) => `${index}: ${source} ${label} ${target} (${factList[index]})`), [
+    "0: alice likes bob (Alice likes Bob)",
+    "1: socrates is human (Socrates is human)",
+    "2: penguin cannot fly (Penguins cannot fly)",
+    "3: bob teaches chess (Bob teaches chess)",
+    "4: carol likes chess (Carol likes chess)",
+    "5: plato is human (Plato is human)"
+  ]);
+  assert.equal(edges[2].negated, true);
+  assert.deepEqual(rules, [
+    { index: 0, label: ruleList[0], inputs: ["human"], outputs: ["mortal"] },
+    // Variables are not concepts, so a rule over variables only has a hub
+    { index: 1, label: ruleList[1], inputs: [], outputs: [] }
+  ]);
+});
+
+test("filtering by a concept keeps indices that delete the right items", () => {
+  const ellm = learned();
+  const { edges, rules } = ellm.getKnowledgeGraph();
+  // The page's concept filter, as in showKnowledge()
+  const factIndices = edges.filter(edge => edge.source === "human" || edge.target === "human").map(edge => edge.index);
+  const ruleIndices = rules.filter(rule => rule.inputs.includes("human") || rule.outputs.includes("human")).map(rule => rule.index);
+  assert.deepEqual(factIndices, [1, 5]);
+  assert.deepEqual(ruleIndices, [0]);
+
+  ellm.removeFactAt(factIndices[1]);
+  ellm.removeRuleAt(ruleIndices[0]);
+  const { facts, rules: ruleList } = ellm.getKnowledgeSummary();
+  assert.ok(!facts.includes("Plato is human"));
+  assert.ok(facts.includes("Socrates is human"));
+  assert.deepEqual(ruleList, ["If X teaches Y and Z likes Y, then Z likes X"]);
+});
+
+test("highlights follow the proof of an answer", () => {
+  const ellm = learned();
+  assert.deepEqual(ellm.graphHighlights(ellm.query("Is Socrates mortal?")),
+    { facts: [1], rules: [0], concepts: ["socrates", "mortal", "human"] });
+  assert.deepEqual(ellm.graphHighlights(ellm.query("Does Carol like Bob?")),
+    { facts: [3, 4], rules: [1], concepts: ["carol", "bob", "chess"] });
+  // A failed proof lights up what was asked, but no facts or rules
+  assert.deepEqual(ellm.graphHighlights(ellm.query("Can Plato fly?")),
+    { facts: [], rules: [], concepts: ["plato", "fly"] });
+});
+
+test("an open question highlights the proofs of all its answers", () => {
+  const ellm = learned("All birds can fly. Tweety is a bird. Robin is a bird. Socrates is human.");
+  const result = ellm.query("Who can fly?");
+  assert.equal(result.answers.length, 3);
+  assert.deepEqual(ellm.graphHighlights(result),
+    { facts: [0, 1], rules: [0], concepts: ["bird", "fly", "tweety", "robin"] });
+});
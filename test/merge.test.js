@@ -0,0 +1,73 @@
+// Comparing and merging knowledge bases: statements are matched by name,
+// whatever primes each ELLM gave its concepts
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ELLM } = require("..");
+
+function learned(text) {
+  const ellm = new ELLM();
+  ellm.learn(text);
+  return ellm;
+}
+
+// Items of `ellm` at the given positions, as the knowledge panel lists them
+function listed(ellm, { facts, rules }) {
+  const summary = ellm.getKnowledgeSummary();
+  return {
+    facts: facts.map(index => summary.facts[index]),
+    rules: rules.map(index => summary.rules[index])
+  };
+}
+
+test("diff matches concepts by name across prime tables", () => {
+  const zoo = learned("Tweety is a bird. All birds can fly. Socrates is human.");
+  const school = learned("All humans are mortal. Socrates is human. Plato is human.");
+  assert.notEqual(zoo.encoder.getPrime("human"), school.encoder.getPrime("human"));
+
+  const { here, there } = zoo.diff(school);
+  assert.deepEqual(listed(zoo, here), { facts: ["Tweety is a bird"], rules: ["All birds can fly"] });
+  assert.deepEqual(listed(school, there), { facts: ["Plato is human"], rules: ["All humans are mortal"] });
+});
+
+test("diff reads aliases and rule variables as the same", () => {
+  const cars = learned(`
+    Automobile means car.
+    The engine is part of the automobile.
+    If X teaches Y and Z likes Y, then Z likes X.
+  `);
+  const vehicles = learned(`
+    The engine is part of the car.
+    If A teaches B and C likes B, then C likes A.
+    If A teaches B and C likes B, then A likes C.
+  `);
+
+  const { here, there } = cars.diff(vehicles);
+  assert.deepEqual(here, { facts: [], rules: [] });
+  assert.deepEqual(listed(vehicles, there), { facts: [], rules: ["If A teaches B and C likes B, then A likes C"] });
+});
+
+test("merge learns only what is missing, or what was picked", () => {
+  const zoo = learned("Tweety is a bird. All birds can fly. Socrates is human.");
+  const school = learned("All humans are mortal. Socrates is human. Plato is human. Owns is a relation.");
+
+  assert.deepEqual(zoo.merge(school, { facts: [1] }), ["Added fact: Plato is human"]);
+  assert.equal(zoo.query("Is Plato mortal?").answer, "Unknown");
+
+  assert.deepEqual(zoo.merge(school), ["Declared relation: owns", "Added rule: All humans are mortal"]);
+  assert.equal(zoo.query("Is Plato mortal?").answer, "Yes");
+  assert.deepEqual(zoo.diff(school).there, { facts: [], rules: [] });
+  assert.deepEqual(zoo.merge(school), []);
+});
+
+test("a union answers from all of its knowledge bases", () => {
+  const zoo = learned("Automobile means car. Tweety is a bird. All birds can fly.");
+  const garage = learned("The engine is part of the car. The car is part of the garage.");
+  const union = ELLM.union([zoo, garage]);
+
+  assert.equal(union.query("Can Tweety fly?").answer, "Yes");
+  assert.equal(union.query("Is the engine part of the garage?").answer, "Yes");
+  assert.equal(union.query("Is the engine part of the automobile?").answer, "Yes");
+  // Neither knowledge base is changed
+  assert.equal(zoo.query("Is the engine part of the automobile?").answer, "Unknown");
+  assert.equal(garage.kb.rules.length, 0);
+});
@@ -0,0 +1,137 @@
+// Prolog import and export: the program ELLM writes reads back as the same
+// knowledge, and plain facts and Horn clauses load as facts and rules.
+// Unlike RDF, a program also carries rules with conditions, so the shared
+// round-trip knowledge (fixtures.js) gets one here, along with quoting and
+// parsing cases of its own.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ELLM, Fact } = require("..");
+const fixtures = require("./fixtures");
+
+// The shared knowledge plus a rule whose second condition has to be proved
+const KNOWLEDGE = `${fixtures.KNOWLEDGE}
+If X teaches Y and Z likes Y, then Z likes X.
+Bob teaches chess.
+Carol likes chess.
+`;
+
+const QUESTIONS = [...fixtures.QUESTIONS, "Does Carol like Bob?"];
+
+function learned(text = KNOWLEDGE) {
+  return fixtures.learned(text);
+}
+
+function imported(text) {
+  return fixtures.imported("importProlog", text);
+}
+
+function answers(ellm) {
+  return fixtures.answers(ellm, QUESTIONS);
+}
+
+// The program without its comments, which quote rules as they were written
+function clauses(program) {
+  return program.split("\n").filter(line => !line.startsWith("%"));
+}
+
+test("facts, rules and relations are written as data", () => {
+  const program = learned().exportProlog();
+  const lines = program.split("\n");
+
+  for (const line of [
+    "transitive(is).",
+    "transitive(located_in).",
+    "symmetric(married_to).",
+    "inverse(parent_of, child_of).",
+    "relation(owns).",
+    "alias(automobile, car).",
+    "fact(socrates, is, human).",
+    "neg_fact(penguin, can, fly).",
+    "confidence(fact(alice, likes, bob), 0.8).",
+    "fact(engine, part_of, car).",
+    "universal(human, mortal).",
+    "capability(bird, fly).",
+    "confidence(capability(bird, sing), 0.9).",
+    "% If X teaches Y and Z likes Y, then Z likes X",
+    // Y is bound from stored facts, as the reasoner does; the second
+    // condition is then proved
+    "derive(Z, likes, X) :- fact(X, teaches, Y), holds(Z, likes, Y)."
+  ]) {
+    assert.ok(lines.includes(line), line);
+  }
+  assert.match(program, /^:- table holds\/3, holds_not\/3, inferred\/3, inferred_not\/3\.$/m);
+  assert.match(program, /^answer\(S0, P0, O0, Answer\) :- /m);
+});
+
+test("round trip keeps facts, rules, relations and aliases", () => {
+  const original = learned();
+  const program = original.exportProlog();
+  const copy = imported(program);
+
+  assert.deepEqual(clauses(copy.exportProlog()), clauses(program));
+  assert.deepEqual(answers(copy), answers(original));
+  assert.deepEqual(copy.getKnowledgeSummary().aliases, ["car (also automobile)"]);
+  assert.ok(copy.getKnowledgeSummary().facts.includes("penguin cannot fly"));
+  assert.ok(copy.getKnowledgeSummary().rules.includes("All bird can sing (0.9)"));
+  assert.ok(copy.relations.isSymmetric("married to"));
+  assert.equal(copy.relations.getInverse("child of"), "parent of");
+  assert.ok(copy.relations.has("owns"));
+});
+
+test("names with quotes and backslashes are escaped inside quoted atoms", () => {
+  const program = learned("O'Brien is a teacher. Back\\slash is a teacher.").exportProlog();
+  assert.ok(program.split("\n").includes("fact('o\\'brien', is, teacher)."));
+  assert.ok(program.split("\n").includes("fact('back\\\\slash', is, teacher)."));
+
+  const copy = imported(program);
+  assert.deepEqual(copy.getKnowledgeSummary().facts, ["o'brien is teacher", "back\\slash is teacher"]);
+  assert.equal(copy.query("Is O'Brien a teacher?").answer, "Yes");
+});
+
+test("reading the program back does not restate built-in relations", () => {
+  const results = new ELLM().importProlog(learned("Socrates is human. All humans are mortal.").exportProlog());
+  assert.deepEqual(results, ["Added rule: All human are mortal", "Added fact: socrates is human"]);
+});
+
+test("plain facts and Horn clauses load as facts and rules", () => {
+  const ellm = new ELLM();
+  const results = ellm.importProlog(`
+    % A small family
+    parent(tom, bob).
+    parent(bob, ann).
+    human(socrates).
+    lives_in(ann, 'New York').
+    mortal(X) :- human(X).
+    ancestor(X, Y) :- parent(X, Y).
+    ancestor(X, Z) :- parent(X, Y), ancestor(Y, Z).
+    grandparent(X, Z) :- parent(X, Y), parent(Y, Z), X \\= Z.
+    point(1, 2, 3).
+    :- initialization(main).
+  `);
+
+  assert.deepEqual(results, [
+    "Declared relation: parent",
+    "Declared relation: lives in",
+    "Declared relation: ancestor",
+    "Added rule: IF (X is human) THEN (X is mortal)",
+    "Added rule: IF (X parent Y) THEN (X ancestor Y)",
+    "Added rule: IF (X parent Y AND Y ancestor Z) THEN (X ancestor Z)",
+    "Added fact: tom parent bob",
+    "Added fact: bob parent ann",
+    "Added fact: socrates is human",
+    "Added fact: ann lives in new york",
+    "Skipped 2 clauses with no ELLM counterpart"
+  ]);
+  assert.equal(ellm.query("Is Socrates mortal?").answer, "Yes");
+  assert.equal(ellm.query("Is Plato mortal?").answer, "Unknown");
+
+  const ancestor = (subject, object) => ellm.reasoner.answerFor(ellm.reasoner.deduce(ellm.kb, new Fact(subject, "ancestor", object)));
+  assert.equal(ancestor("tom", "ann"), "Yes");
+  assert.equal(ancestor("ann", "tom"), "Unknown");
+});
+
+test("syntax errors name the line", () => {
+  assert.throws(() => new ELLM().importProlog("a(b).\n\nfoo(X :- bar."), /^Error: Prolog line 3: expected "\)" at ":-"$/);
+  assert.throws(() => new ELLM().importProlog("a(b)"), /^Error: Prolog line 1: unexpected end of input$/);
+  assert.throws(() => new ELLM().importProlog("likes(ann, [tea, cake])."), /lists are not supported/);
+});
@@ -0,0 +1,104 @@
+// RDF import and export: what goes out as Turtle or N-Triples comes back
+// as the same knowledge. On top of the shared round trip (fixtures.js), RDF
+// has two serializations that must agree, reifies negations and confidences,
+// drops rules with conditions, and reads vocabularies ELLM did not write.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ELLM } = require("..");
+const fixtures = require("./fixtures");
+
+const { learned, answers } = fixtures;
+
+function imported(text, options) {
+  return fixtures.imported("importRdf", text, options);
+}
+
+test("Turtle round trip keeps facts, rules, relations and aliases", () => {
+  const original = learned();
+  const turtle = original.exportRdf();
+  const copy = imported(turtle);
+
+  assert.equal(copy.exportRdf(), turtle);
+  assert.deepEqual(answers(copy), answers(original));
+  assert.deepEqual(copy.getKnowledgeSummary().aliases, ["car (also automobile)"]);
+  assert.ok(copy.relations.isTransitive("located in"));
+  assert.ok(copy.relations.isSymmetric("married to"));
+  assert.equal(copy.relations.getInverse("child of"), "parent of");
+  assert.ok(copy.relations.has("owns"));
+});
+
+test("N-Triples round trip matches the Turtle one", () => {
+  const original = learned();
+  const copy = imported(original.exportRdf({ format: "ntriples" }));
+
+  assert.equal(copy.exportRdf(), original.exportRdf());
+  assert.deepEqual(answers(copy), answers(original));
+});
+
+test("negative facts and confidences travel on reified statements", () => {
+  const turtle = learned().exportRdf();
+  assert.match(turtle, /rdf:object ex:fly ;\n\s+ellm:negated true \./);
+  assert.match(turtle, /rdf:object ex:bob ;\n\s+ellm:confidence 0\.8 \./);
+
+  const copy = imported(turtle);
+  assert.ok(copy.getKnowledgeSummary().facts.includes("penguin cannot fly"));
+  assert.ok(copy.getKnowledgeSummary().rules.includes("All bird can sing (0.9)"));
+});
+
+test("rules with conditions are left out with a comment", () => {
+  const turtle = learned("If X teaches Y and Z likes Y, then Z likes X. Bob teaches chess.").exportRdf();
+  assert.match(turtle, /^# Not expressible in RDF: If X teaches Y and Z likes Y, then Z likes X$/m);
+  assert.equal(imported(turtle).kb.rules.length, 0);
+});
+
+test("subClassOf, rdf:type and labels map onto rules and facts", () => {
+  const ellm = new ELLM();
+  const results = ellm.importRdf(`
+    @prefix zoo: <http://zoo.example/> .
+    zoo:Lion rdfs:subClassOf zoo:Cat ; rdfs:label "lion"@en .
+    zoo:Cat rdfs:subClassOf zoo:Mammal ;
+        ellm:capability zoo:Purr .
+    zoo:Mammal a owl:Class .
+    zoo:leo a zoo:Lion ; zoo:locatedIn zoo:Savanna .
+    zoo:locatedIn a owl:TransitiveProperty ; rdfs:domain zoo:Animal .
+    zoo:Savanna zoo:locatedIn zoo:Africa .
+    zoo:keeper zoo:feeds [ zoo:name "Sam" ] .
+  `);
+
+  assert.deepEqual(results, [
+    "Declared relation: located in is transitive",
+    "Added rule: All lion are cat",
+    "Added rule: All cat are mammal",
+    "Added rule: All cat can purr",
+    "Added fact: leo is lion",
+    "Added fact: leo located in savanna",
+    "Added fact: savanna located in africa",
+    "Skipped 3 triples with no ELLM counterpart"
+  ]);
+  assert.equal(ellm.query("Is Leo a mammal?").answer, "Yes");
+  assert.equal(ellm.query("Can Leo purr?").answer, "Yes");
+  assert.equal(ellm.query("Is Leo located in Africa?").answer, "Yes");
+});
+
+test("prefixes and namespace are configurable", () => {
+  const options = { prefixes: { zoo: "http://zoo.example/" }, namespace: "http://zoo.example/" };
+  const turtle = learned("Socrates is human. All humans are mortal.").exportRdf(options);
+
+  assert.equal(turtle, [
+    "@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .",
+    "@prefix zoo: <http://zoo.example/> .",
+    "",
+    "zoo:socrates a zoo:human .",
+    "zoo:human rdfs:subClassOf zoo:mortal .",
+    ""
+  ].join("\n"));
+  // Without its @prefix line, the text still reads with the same options
+  const body = turtle.split("\n").filter(line => !line.startsWith("@prefix")).join("\n");
+  assert.equal(imported(body, options).query("Is Socrates mortal?").answer, "Yes");
+});
+
+test("syntax errors name the line", () => {
+  assert.throws(() => new ELLM().importRdf("ex:a ex:b ex:c .\n\nex:a ex:b"), /^Error: RDF line 3: unexpected end of input$/);
+  assert.throws(() => new ELLM().importRdf("nope:a ex:b ex:c ."), /unknown prefix "nope:"/);
+  assert.throws(() => new ELLM().importRdf("ex:a ex:b (ex:c) ."), /collections are not supported/);
+});